@@ -53,6 +53,7 @@ SQLITE_CFLAGS=(
     "-DSQLITE_ENABLE_RTREE"
     "-DSQLITE_ENABLE_EXPLAIN_COMMENTS"
     "-DSQLITE_ENABLE_JSON1"
+    "-DSQLITE_ENABLE_COLUMN_METADATA"
 
     # Disable features not available in WASM
     "-DSQLCIPHER_OMIT_LOG_DEVICE"
@@ -79,9 +80,18 @@ EMCC_FLAGS=(
 
     # Note: Using OpenSSL (compiled to WASM), no Asyncify needed!
 
+    # Include NODEFS so host directories can be mounted in Node (mountHostDirectory)
+    "-lnodefs.js"
+
+    # Let JavaScript callbacks (VFS methods, SQL functions) be added to the function table
+    "-sALLOW_TABLE_GROWTH=1"
+
+    # Pass 64-bit integers (sqlite3_int64) to and from JS as BigInt
+    "-sWASM_BIGINT=1"
+
     # Export settings - use simpler syntax
-    "-sEXPORTED_RUNTIME_METHODS=FS,cwrap,ccall,setValue,getValue,UTF8ToString,stringToUTF8,lengthBytesUTF8,allocateUTF8"
-    "-sEXPORTED_FUNCTIONS=_malloc,_free,_sqlite3_open,_sqlite3_open_v2,_sqlite3_close,_sqlite3_exec,_sqlite3_prepare_v2,_sqlite3_step,_sqlite3_finalize,_sqlite3_reset,_sqlite3_clear_bindings,_sqlite3_column_count,_sqlite3_column_name,_sqlite3_column_type,_sqlite3_column_blob,_sqlite3_column_bytes,_sqlite3_column_text,_sqlite3_column_int,_sqlite3_column_int64,_sqlite3_column_double,_sqlite3_bind_blob,_sqlite3_bind_text,_sqlite3_bind_int,_sqlite3_bind_int64,_sqlite3_bind_double,_sqlite3_bind_null,_sqlite3_bind_parameter_count,_sqlite3_bind_parameter_name,_sqlite3_bind_parameter_index,_sqlite3_errmsg,_sqlite3_errcode,_sqlite3_extended_errcode,_sqlite3_changes,_sqlite3_total_changes,_sqlite3_last_insert_rowid,_sqlite3_db_filename,_sqlite3_get_autocommit,_sqlite3_busy_timeout"
+    "-sEXPORTED_RUNTIME_METHODS=FS,cwrap,ccall,setValue,getValue,UTF8ToString,stringToUTF8,lengthBytesUTF8,allocateUTF8,HEAPU8,addFunction,removeFunction"
+    "-sEXPORTED_FUNCTIONS=_malloc,_free,_sqlite3_open,_sqlite3_open_v2,_sqlite3_close,_sqlite3_exec,_sqlite3_prepare_v2,_sqlite3_step,_sqlite3_finalize,_sqlite3_reset,_sqlite3_clear_bindings,_sqlite3_column_count,_sqlite3_column_name,_sqlite3_column_type,_sqlite3_column_blob,_sqlite3_column_bytes,_sqlite3_column_text,_sqlite3_column_int,_sqlite3_column_int64,_sqlite3_column_double,_sqlite3_bind_blob,_sqlite3_bind_text,_sqlite3_bind_int,_sqlite3_bind_int64,_sqlite3_bind_double,_sqlite3_bind_null,_sqlite3_bind_parameter_count,_sqlite3_bind_parameter_name,_sqlite3_bind_parameter_index,_sqlite3_errmsg,_sqlite3_errcode,_sqlite3_extended_errcode,_sqlite3_changes,_sqlite3_total_changes,_sqlite3_last_insert_rowid,_sqlite3_db_filename,_sqlite3_get_autocommit,_sqlite3_busy_timeout,_sqlite3_key_v2,_sqlite3_rekey_v2,_sqlite3_serialize,_sqlite3_free,_sqlite3_stmt_readonly,_sqlite3_vfs_find,_sqlite3_vfs_register,_sqlite3_vfs_unregister,_sqlite3_create_function_v2,_sqlite3_value_type,_sqlite3_value_int64,_sqlite3_value_double,_sqlite3_value_text,_sqlite3_value_blob,_sqlite3_value_bytes,_sqlite3_result_null,_sqlite3_result_int,_sqlite3_result_int64,_sqlite3_result_double,_sqlite3_result_text,_sqlite3_result_blob,_sqlite3_result_error,_sqlite3_create_window_function,_sqlite3_aggregate_context,_sqlite3_create_collation_v2,_sqlite3_interrupt,_sqlite3_column_decltype,_sqlite3_column_table_name,_sqlite3_column_origin_name,_sqlite3_column_database_name"
 
     # Allow memory growth and expose memory
     "-sALLOW_MEMORY_GROWTH=1"
@@ -136,7 +146,18 @@ echo -e "${YELLOW}Linking with OpenSSL...${NC}"
 emcc "${SQLITE_CFLAGS[@]}" "${EMCC_FLAGS[@]}" \
     sqlite3.o \
     "$OPENSSL_LIB/libcrypto.a" \
-    -o "../../$DIST_DIR/sqlcipher.js"
+    -o "../../$DIST_DIR/sqlcipher.js" &&
+
+# Link again as an ES module exporting a factory, for browsers and bundlers, where
+# import() of the classic script above yields neither a module nor a factory.
+# Its own basename keeps it from overwriting the classic build's .wasm.
+emcc "${SQLITE_CFLAGS[@]}" "${EMCC_FLAGS[@]}" \
+    -sMODULARIZE=1 \
+    -sEXPORT_ES6=1 \
+    -sEXPORT_NAME=createSQLCipherModule \
+    sqlite3.o \
+    "$OPENSSL_LIB/libcrypto.a" \
+    -o "../../$DIST_DIR/sqlcipher-es6.mjs"
 
 if [ $? -eq 0 ]; then
     echo -e "${GREEN}✓ Build successful!${NC}"
@@ -150,4 +171,8 @@ fi
 # Return to root directory
 cd ../..
 
+# ES module build of the API for browsers and bundlers
+echo -e "${YELLOW}Building ES module...${NC}"
+node tools/build-esm.cjs "$DIST_DIR"
+
 echo -e "${GREEN}Build complete!${NC}"
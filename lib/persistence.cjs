@@ -0,0 +1,217 @@
+/**
+ * Browser persistence backends for SQLiteAPI.open({ persistence })
+ *
+ * A backend stores the bytes of a database file under a name. The database
+ * itself runs on MEMFS: its stored bytes are loaded before opening, and written
+ * back after each commit. SQLCipher encrypts pages before they reach the file,
+ * so for an encrypted database only ciphertext is ever handed to a backend.
+ *
+ * Backends implement:
+ *   load(name)         -> Promise<Uint8Array|null>  stored bytes, or null for a new database
+ *   save(name, bytes)  -> Promise|void              replace the stored bytes
+ *   close(name)        -> Promise|void              optional; called when the database closes
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stores each database as a single value in an IndexedDB object store.
+ * Saves resolve once their transaction has completed.
+ */
+class IndexedDBPersistence {
+    /**
+     * @param {object} [options]
+     * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - IndexedDB implementation
+     * @param {string} [options.databaseName='sqlcipher-wasm'] - IndexedDB database to store files in
+     * @param {string} [options.storeName='files'] - Object store holding one record per database
+     */
+    constructor(options = {}) {
+        const {
+            indexedDB = globalThis.indexedDB,
+            databaseName = 'sqlcipher-wasm',
+            storeName = 'files'
+        } = options;
+
+        if (!indexedDB) {
+            throw new Error('IndexedDB is not available in this environment');
+        }
+        this.indexedDB = indexedDB;
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.connection = null;
+        this.openNames = new Set();
+    }
+
+    /**
+     * Open (and on first use create) the IndexedDB database, sharing one
+     * connection between all SQLite databases stored through this backend
+     */
+    getConnection() {
+        if (!this.connection) {
+            const request = this.indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            this.connection = requestToPromise(request);
+            this.connection.catch(() => {
+                this.connection = null;
+            });
+        }
+        return this.connection;
+    }
+
+    async load(name) {
+        const connection = await this.getConnection();
+        const store = connection.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+        const bytes = await requestToPromise(store.get(name));
+        this.openNames.add(name);
+        return bytes === undefined ? null : new Uint8Array(bytes);
+    }
+
+    async save(name, bytes) {
+        const connection = await this.getConnection();
+        const transaction = connection.transaction(this.storeName, 'readwrite');
+        transaction.objectStore(this.storeName).put(bytes, name);
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Delete a stored database. It must not be open.
+     */
+    async delete(name) {
+        const connection = await this.getConnection();
+        const store = connection.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+        await requestToPromise(store.delete(name));
+        await this.release();
+    }
+
+    async close(name) {
+        this.openNames.delete(name);
+        await this.release();
+    }
+
+    /**
+     * Close the shared connection once no database stored here is open,
+     * so the IndexedDB database can be upgraded or deleted
+     */
+    async release() {
+        if (this.openNames.size === 0 && this.connection) {
+            const connection = await this.connection;
+            this.connection = null;
+            connection.close();
+        }
+    }
+}
+
+/**
+ * Stores each database as a file in the Origin Private File System, written
+ * through a FileSystemSyncAccessHandle. Sync access handles only exist in
+ * dedicated workers; each one holds an exclusive lock on its file until the
+ * database is closed, so a database cannot be opened by two workers at once.
+ */
+class OPFSPersistence {
+    /**
+     * @param {object} [options]
+     * @param {function(): Promise<FileSystemDirectoryHandle>} [options.getDirectory] - Root
+     *   directory to store files in; defaults to navigator.storage.getDirectory()
+     */
+    constructor(options = {}) {
+        const storage = globalThis.navigator && globalThis.navigator.storage;
+        const { getDirectory = storage && storage.getDirectory && (() => storage.getDirectory()) } = options;
+
+        if (!getDirectory) {
+            throw new Error('The Origin Private File System is not available in this environment');
+        }
+        this.getDirectory = getDirectory;
+        this.handles = new Map();
+    }
+
+    /**
+     * Resolve a database path such as '/data/app.db' to its OPFS file,
+     * creating intermediate directories
+     */
+    async getFileHandle(name) {
+        const parts = name.split('/').filter(Boolean);
+        if (parts.length === 0) {
+            throw new Error(`Invalid database name for OPFS: ${name}`);
+        }
+        let directory = await this.getDirectory();
+        for (const part of parts.slice(0, -1)) {
+            directory = await directory.getDirectoryHandle(part, { create: true });
+        }
+        return directory.getFileHandle(parts[parts.length - 1], { create: true });
+    }
+
+    async load(name) {
+        if (this.handles.has(name)) {
+            throw new Error(`${name} is already open`);
+        }
+        const fileHandle = await this.getFileHandle(name);
+        if (typeof fileHandle.createSyncAccessHandle !== 'function') {
+            throw new Error('OPFS persistence requires a dedicated worker (createSyncAccessHandle is unavailable)');
+        }
+        const access = await fileHandle.createSyncAccessHandle();
+        this.handles.set(name, access);
+
+        const size = access.getSize();
+        if (size === 0) {
+            return null;
+        }
+        const bytes = new Uint8Array(size);
+        access.read(bytes, { at: 0 });
+        return bytes;
+    }
+
+    save(name, bytes) {
+        const access = this.handles.get(name);
+        if (!access) {
+            throw new Error(`${name} is not open`);
+        }
+        access.truncate(bytes.length);
+        access.write(bytes, { at: 0 });
+        access.flush();
+    }
+
+    close(name) {
+        const access = this.handles.get(name);
+        if (access) {
+            this.handles.delete(name);
+            access.close();
+        }
+    }
+}
+
+/**
+ * Turn the persistence option of SQLiteAPI.open into a backend
+ * @param {string|object} persistence - 'indexeddb', 'opfs' or a backend object
+ */
+function resolvePersistence(persistence) {
+    if (persistence === 'indexeddb') {
+        return new IndexedDBPersistence();
+    }
+    if (persistence === 'opfs') {
+        return new OPFSPersistence();
+    }
+    if (persistence && typeof persistence.load === 'function' && typeof persistence.save === 'function') {
+        return persistence;
+    }
+    throw new TypeError("persistence must be 'indexeddb', 'opfs' or an object with load() and save()");
+}
+
+module.exports = {
+    IndexedDBPersistence,
+    OPFSPersistence,
+    resolvePersistence
+};
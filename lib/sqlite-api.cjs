@@ -2,258 +2,2209 @@
  * High-level SQLite API wrapper for WASM module
  */
 
+const { IndexedDBPersistence, OPFSPersistence, resolvePersistence } = require('./persistence.cjs');
+const { RegisteredVFS, MemoryVFS } = require('./vfs.cjs');
+
 const SQLITE_OK = 0;
+const SQLITE_NOMEM = 7;
+const SQLITE_NOTADB = 26;
 const SQLITE_ROW = 100;
 const SQLITE_DONE = 101;
 
+// sqlite3_open_v2() flags
+const SQLITE_OPEN_READONLY = 0x01;
+const SQLITE_OPEN_READWRITE = 0x02;
+const SQLITE_OPEN_CREATE = 0x04;
+const SQLITE_OPEN_URI = 0x40;
+const SQLITE_OPEN_MEMORY = 0x80;
+
+// Fundamental column datatypes (sqlite3_column_type)
+const SQLITE_INTEGER = 1;
+const SQLITE_FLOAT = 2;
+const SQLITE_TEXT = 3;
+const SQLITE_BLOB = 4;
+
+// Destructor value telling SQLite to make its own copy of bound text/blob data
+const SQLITE_TRANSIENT = -1;
+
+// sqlite3_create_function_v2() flags
+const SQLITE_UTF8 = 1;
+const SQLITE_DETERMINISTIC = 0x800;
+const SQLITE_DIRECTONLY = 0x80000;
+
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7fffffff;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+// Raw SQLCipher key material: a 256-bit key, optionally followed by a 128-bit salt
+const RAW_KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const HEX_DIGITS = Array.from('0123456789abcdef', (c) => c.charCodeAt(0));
+const CHAR_X = 0x78;
+const CHAR_QUOTE = 0x27;
+
+// Cipher options accepted by applyCipherSettings(), in the order their PRAGMAs must run
+const HMAC_ALGORITHMS = ['HMAC_SHA1', 'HMAC_SHA256', 'HMAC_SHA512'];
+const KDF_ALGORITHMS = ['PBKDF2_HMAC_SHA1', 'PBKDF2_HMAC_SHA256', 'PBKDF2_HMAC_SHA512'];
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const CIPHER_SETTINGS = [
+    ['compatibility', 'cipher_compatibility', (v) => [1, 2, 3, 4].includes(v)],
+    ['pageSize', 'cipher_page_size', (v) => isPositiveInteger(v) && v >= 512 && v <= 65536 && (v & (v - 1)) === 0],
+    ['kdfIter', 'kdf_iter', isPositiveInteger],
+    ['hmacAlgorithm', 'cipher_hmac_algorithm', (v) => HMAC_ALGORITHMS.includes(v)],
+    ['kdfAlgorithm', 'cipher_kdf_algorithm', (v) => KDF_ALGORITHMS.includes(v)],
+    ['plaintextHeaderSize', 'cipher_plaintext_header_size', (v) => Number.isInteger(v) && v >= 0 && v <= 100 && v % 16 === 0]
+];
+
+// Schema name the export destination is attached under while exportTo() runs
+const EXPORT_SCHEMA = 'sqlite_api_export';
+
+const MIN_SAFE_BIGINT = BigInt(Number.MIN_SAFE_INTEGER);
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+
+/**
+ * Convert a 64-bit integer from the WASM boundary to a number when it fits
+ * exactly, keeping it as a BigInt otherwise
+ */
+function int64ToJS(value) {
+    if (typeof value !== 'bigint') return value;
+    return value >= MIN_SAFE_BIGINT && value <= MAX_SAFE_BIGINT ? Number(value) : value;
+}
+
+/**
+ * Whether a number is an integer that fits in a 64-bit INTEGER. Integers past
+ * the safe range qualify too: a double holds one exact value, which
+ * sqlite3_bind_int64() stores without rounding.
+ */
+function isInt64Number(value) {
+    return Number.isInteger(value) && value >= -(2 ** 63) && value < 2 ** 63;
+}
+
+// Whitespace, comments and empty statements: what may follow the last statement of a script
+const BLANK_SQL = /^(?:\s|;|--[^\n]*(?:\n|$)|\/\*[\s\S]*?(?:\*\/|$))*$/;
+
+// Result code names, keyed by primary or extended result code
+const RESULT_CODE_NAMES = {
+    0: 'SQLITE_OK',
+    1: 'SQLITE_ERROR',
+    2: 'SQLITE_INTERNAL',
+    3: 'SQLITE_PERM',
+    4: 'SQLITE_ABORT',
+    5: 'SQLITE_BUSY',
+    6: 'SQLITE_LOCKED',
+    7: 'SQLITE_NOMEM',
+    8: 'SQLITE_READONLY',
+    9: 'SQLITE_INTERRUPT',
+    10: 'SQLITE_IOERR',
+    11: 'SQLITE_CORRUPT',
+    12: 'SQLITE_NOTFOUND',
+    13: 'SQLITE_FULL',
+    14: 'SQLITE_CANTOPEN',
+    15: 'SQLITE_PROTOCOL',
+    16: 'SQLITE_EMPTY',
+    17: 'SQLITE_SCHEMA',
+    18: 'SQLITE_TOOBIG',
+    19: 'SQLITE_CONSTRAINT',
+    20: 'SQLITE_MISMATCH',
+    21: 'SQLITE_MISUSE',
+    22: 'SQLITE_NOLFS',
+    23: 'SQLITE_AUTH',
+    24: 'SQLITE_FORMAT',
+    25: 'SQLITE_RANGE',
+    26: 'SQLITE_NOTADB',
+    27: 'SQLITE_NOTICE',
+    28: 'SQLITE_WARNING',
+    100: 'SQLITE_ROW',
+    101: 'SQLITE_DONE',
+    256: 'SQLITE_OK_LOAD_PERMANENTLY',
+    257: 'SQLITE_ERROR_MISSING_COLLSEQ',
+    261: 'SQLITE_BUSY_RECOVERY',
+    262: 'SQLITE_LOCKED_SHAREDCACHE',
+    264: 'SQLITE_READONLY_RECOVERY',
+    266: 'SQLITE_IOERR_READ',
+    267: 'SQLITE_CORRUPT_VTAB',
+    270: 'SQLITE_CANTOPEN_NOTEMPDIR',
+    275: 'SQLITE_CONSTRAINT_CHECK',
+    279: 'SQLITE_AUTH_USER',
+    283: 'SQLITE_NOTICE_RECOVER_WAL',
+    284: 'SQLITE_WARNING_AUTOINDEX',
+    512: 'SQLITE_OK_SYMLINK',
+    513: 'SQLITE_ERROR_RETRY',
+    516: 'SQLITE_ABORT_ROLLBACK',
+    517: 'SQLITE_BUSY_SNAPSHOT',
+    518: 'SQLITE_LOCKED_VTAB',
+    520: 'SQLITE_READONLY_CANTLOCK',
+    522: 'SQLITE_IOERR_SHORT_READ',
+    523: 'SQLITE_CORRUPT_SEQUENCE',
+    526: 'SQLITE_CANTOPEN_ISDIR',
+    531: 'SQLITE_CONSTRAINT_COMMITHOOK',
+    539: 'SQLITE_NOTICE_RECOVER_ROLLBACK',
+    769: 'SQLITE_ERROR_SNAPSHOT',
+    773: 'SQLITE_BUSY_TIMEOUT',
+    776: 'SQLITE_READONLY_ROLLBACK',
+    778: 'SQLITE_IOERR_WRITE',
+    779: 'SQLITE_CORRUPT_INDEX',
+    782: 'SQLITE_CANTOPEN_FULLPATH',
+    787: 'SQLITE_CONSTRAINT_FOREIGNKEY',
+    795: 'SQLITE_NOTICE_RBU',
+    1032: 'SQLITE_READONLY_DBMOVED',
+    1034: 'SQLITE_IOERR_FSYNC',
+    1038: 'SQLITE_CANTOPEN_CONVPATH',
+    1043: 'SQLITE_CONSTRAINT_FUNCTION',
+    1288: 'SQLITE_READONLY_CANTINIT',
+    1290: 'SQLITE_IOERR_DIR_FSYNC',
+    1294: 'SQLITE_CANTOPEN_DIRTYWAL',
+    1299: 'SQLITE_CONSTRAINT_NOTNULL',
+    1544: 'SQLITE_READONLY_DIRECTORY',
+    1546: 'SQLITE_IOERR_TRUNCATE',
+    1550: 'SQLITE_CANTOPEN_SYMLINK',
+    1555: 'SQLITE_CONSTRAINT_PRIMARYKEY',
+    1802: 'SQLITE_IOERR_FSTAT',
+    1811: 'SQLITE_CONSTRAINT_TRIGGER',
+    2058: 'SQLITE_IOERR_UNLOCK',
+    2067: 'SQLITE_CONSTRAINT_UNIQUE',
+    2314: 'SQLITE_IOERR_RDLOCK',
+    2323: 'SQLITE_CONSTRAINT_VTAB',
+    2570: 'SQLITE_IOERR_DELETE',
+    2579: 'SQLITE_CONSTRAINT_ROWID',
+    2826: 'SQLITE_IOERR_BLOCKED',
+    2835: 'SQLITE_CONSTRAINT_PINNED',
+    3082: 'SQLITE_IOERR_NOMEM',
+    3091: 'SQLITE_CONSTRAINT_DATATYPE',
+    3338: 'SQLITE_IOERR_ACCESS',
+    3594: 'SQLITE_IOERR_CHECKRESERVEDLOCK',
+    3850: 'SQLITE_IOERR_LOCK',
+    4106: 'SQLITE_IOERR_CLOSE',
+    4362: 'SQLITE_IOERR_DIR_CLOSE',
+    4618: 'SQLITE_IOERR_SHMOPEN',
+    4874: 'SQLITE_IOERR_SHMSIZE',
+    5130: 'SQLITE_IOERR_SHMLOCK',
+    5386: 'SQLITE_IOERR_SHMMAP',
+    5642: 'SQLITE_IOERR_SEEK',
+    5898: 'SQLITE_IOERR_DELETE_NOENT',
+    6154: 'SQLITE_IOERR_MMAP',
+    6410: 'SQLITE_IOERR_GETTEMPPATH',
+    6666: 'SQLITE_IOERR_CONVPATH',
+    6922: 'SQLITE_IOERR_VNODE',
+    7178: 'SQLITE_IOERR_AUTH',
+    7434: 'SQLITE_IOERR_BEGIN_ATOMIC',
+    7690: 'SQLITE_IOERR_COMMIT_ATOMIC',
+    7946: 'SQLITE_IOERR_ROLLBACK_ATOMIC',
+    8202: 'SQLITE_IOERR_DATA',
+    8458: 'SQLITE_IOERR_CORRUPTFS'
+};
+
+/**
+ * Error raised for a failed SQLite call
+ */
+class SqliteError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {object} details
+     * @param {number} details.errno - Primary result code (e.g. 19 for SQLITE_CONSTRAINT)
+     * @param {number} [details.extendedErrno] - Extended result code (e.g. 2067)
+     * @param {string} [details.sql] - SQL text being executed, if any
+     */
+    constructor(message, { errno, extendedErrno = errno, sql = null }) {
+        super(message);
+        this.name = 'SqliteError';
+        this.errno = errno;
+        this.extendedErrno = extendedErrno;
+        // Name the extended code when it is known, e.g. 'SQLITE_CONSTRAINT_UNIQUE'
+        this.code = RESULT_CODE_NAMES[extendedErrno] ||
+            RESULT_CODE_NAMES[errno] ||
+            `SQLITE_UNKNOWN_${errno}`;
+        this.sql = sql;
+    }
+}
+
+/**
+ * Error raised when a database cannot be decrypted with the supplied key.
+ * SQLCipher cannot tell a wrong key from a file that is not a database at all,
+ * so this carries SQLITE_NOTADB either way.
+ */
+class WrongKeyError extends SqliteError {
+    constructor(message = 'Wrong encryption key or file is not a database', details = {}) {
+        super(message, { ...details, errno: SQLITE_NOTADB, extendedErrno: SQLITE_NOTADB });
+        this.name = 'WrongKeyError';
+    }
+}
+
+/**
+ * Build a SqliteError from a result code returned by a call that does not
+ * record its error on the connection
+ */
+function resultError(prefix, result) {
+    const name = RESULT_CODE_NAMES[result] || `SQLITE_UNKNOWN_${result}`;
+    return new SqliteError(`${prefix}: ${name}`, {
+        errno: result & 0xff,
+        extendedErrno: result
+    });
+}
+
+/**
+ * Map the readonly, create, uri and memory options of SQLiteAPI.open to
+ * sqlite3_open_v2() flags
+ */
+function openFlags(filename, options) {
+    const {
+        readonly = false,
+        create = !readonly,
+        uri = typeof filename === 'string' && filename.startsWith('file:'),
+        memory = false
+    } = options;
+
+    if (readonly && create) {
+        throw new Error('A read-only database cannot be created; pass create: false or omit it');
+    }
+
+    let flags = readonly ? SQLITE_OPEN_READONLY : SQLITE_OPEN_READWRITE;
+    if (create) flags |= SQLITE_OPEN_CREATE;
+    if (uri) flags |= SQLITE_OPEN_URI;
+    if (memory) flags |= SQLITE_OPEN_MEMORY;
+    return flags;
+}
+
+/**
+ * Number of SQL arguments a user-defined function takes: -1 with varargs,
+ * else options.argCount, else implicit (derived from the JavaScript function's length)
+ */
+function functionArgCount(options, implicit) {
+    if (options.varargs) return -1;
+    if (options.argCount === undefined) return implicit;
+    if (!Number.isInteger(options.argCount) || options.argCount < 0) {
+        throw new RangeError(`argCount must be a non-negative integer: ${options.argCount}`);
+    }
+    return options.argCount;
+}
+
+/**
+ * Remove a database file and any journal left beside it from the virtual FS
+ */
+function removeFile(FS, path) {
+    for (const file of [path, `${path}-journal`, `${path}-wal`, `${path}-shm`]) {
+        if (FS.analyzePath(file).exists) {
+            FS.unlink(file);
+        }
+    }
+}
+
 class SQLiteDatabase {
-    constructor(module, dbPtr) {
+    /**
+     * @param {object} module - Initialized WASM module
+     * @param {number} dbPtr - sqlite3* handle
+     * @param {object} [options]
+     * @param {boolean} [options.stringValues=false] - Return every column as a string (or null),
+     *   as versions before typed decoding did
+     */
+    constructor(module, dbPtr, options = {}) {
         this.module = module;
         this.dbPtr = dbPtr;
         this.closed = false;
+        this.statements = new Set();
+        this.stringValues = Boolean(options.stringValues);
+        this.savepointDepth = 0;
+        // 'name/nArg' -> WASM function pointers of a user-defined function, removed on close
+        this.functions = new Map();
+        // Lower-cased collation name -> WASM comparator pointer, removed on close
+        this.collations = new Map();
+        // Exception thrown by a collation comparator, reported by the next createError()
+        this.collationError = null;
+        // Virtual FS file removed on close, for databases opened with openFromBytes()
+        this.ownedFile = null;
+        // Set by SQLiteAPI.open({ vfs }) for databases on a JavaScript VFS
+        this.vfs = null;
+        // Set by SQLiteAPI.open({ persistence }): { backend, name }
+        this.persistence = null;
+        this.dirty = false;
+        this.syncing = false;
+        this.saving = false;
+        this.pendingSync = Promise.resolve();
+        this.syncError = null;
     }
 
     /**
-     * Set encryption key for the database (must be called right after opening)
-     * @param {string} key - Encryption passphrase
+     * Set encryption key for the database (must be called right after opening).
+     * The key goes straight to sqlite3_key_v2() rather than through a PRAGMA,
+     * so it never appears in SQL text.
+     * @param {string|Uint8Array} key - Passphrase, or raw key material: 32 bytes of key,
+     *   or 48 bytes of key followed by the 16-byte database salt
      */
     setKey(key) {
         if (this.closed) throw new Error('Database is closed');
-        try {
-            // Set the encryption key
-            // Our crypto provider uses sensible defaults (AES-256-CTR, PBKDF2-HMAC-SHA512, 256000 iterations)
-            this.exec(`PRAGMA key = '${key.replace(/'/g, "''")}'`);
-        } catch (e) {
-            throw new Error(`Failed to set encryption key: ${e.message}`);
+        // SQLCipher 4 defaults apply unless changed with applyCipherSettings():
+        // AES-256-CBC, PBKDF2-HMAC-SHA512 with 256000 iterations, HMAC-SHA512, 4096-byte pages
+        const result = this.withKeyBuffer(key, (keyPtr, length) =>
+            this.module._sqlite3_key_v2(this.dbPtr, 0, keyPtr, length)
+        );
+        if (result !== SQLITE_OK) {
+            throw resultError('Failed to set encryption key', result);
         }
     }
 
     /**
-     * Re-key the database with a new encryption key
-     * @param {string} newKey - New encryption passphrase
+     * Apply SQLCipher settings. Must be called after setKey() and before the
+     * database is first read; compatibility is applied first because it resets
+     * the other settings to that major version's defaults.
+     * @param {object} cipher
+     * @param {number} [cipher.compatibility] - SQLCipher major version defaults to use (1-4)
+     * @param {number} [cipher.pageSize] - Page size in bytes (power of two, 512-65536)
+     * @param {number} [cipher.kdfIter] - PBKDF2 iteration count
+     * @param {string} [cipher.hmacAlgorithm] - 'HMAC_SHA1', 'HMAC_SHA256' or 'HMAC_SHA512'
+     * @param {string} [cipher.kdfAlgorithm] - 'PBKDF2_HMAC_SHA1', 'PBKDF2_HMAC_SHA256' or 'PBKDF2_HMAC_SHA512'
+     * @param {number} [cipher.plaintextHeaderSize] - Bytes of the header left unencrypted (0 or a multiple of 16 up to 100)
+     * @param {string} [schema] - Attached database to apply the settings to instead of main
      */
-    rekey(newKey) {
+    applyCipherSettings(cipher, schema = null) {
         if (this.closed) throw new Error('Database is closed');
-        this.exec(`PRAGMA rekey = '${newKey.replace(/'/g, "''")}'`);
+
+        const unknown = Object.keys(cipher).filter(
+            (option) => !CIPHER_SETTINGS.some(([name]) => name === option)
+        );
+        if (unknown.length > 0) {
+            throw new Error(`Unknown cipher setting(s): ${unknown.join(', ')}`);
+        }
+
+        // Validate everything before running any PRAGMA; values are interpolated into SQL
+        const pragmas = [];
+        for (const [option, pragma, validate] of CIPHER_SETTINGS) {
+            const value = cipher[option];
+            if (value === undefined) continue;
+            if (!validate(value)) {
+                throw new RangeError(`Invalid cipher setting ${option}: ${value}`);
+            }
+            pragmas.push(`PRAGMA ${schema ? `${schema}.` : ''}${pragma} = ${value}`);
+        }
+
+        for (const sql of pragmas) {
+            this.exec(sql);
+        }
     }
 
     /**
-     * Execute a SQL statement without returning results
+     * Upgrade a database written by an older SQLCipher major version (1-3) to the
+     * current format in place, via PRAGMA cipher_migrate. Must be called after
+     * setKey() and before the database is first read. A database already in the
+     * current format is left as it is.
+     * @returns {number} SQLITE_OK (0) on success
+     * @throws {SqliteError} With the result code reported by cipher_migrate
      */
-    exec(sql) {
+    migrateCipher() {
         if (this.closed) throw new Error('Database is closed');
 
-        const sqlPtr = this.module.allocateUTF8(sql);
+        const row = this.query('PRAGMA cipher_migrate')[0];
+        const result = row ? Number(Object.values(row)[0]) : SQLITE_OK;
+        if (result !== SQLITE_OK) {
+            throw resultError('Failed to migrate database', result);
+        }
+        return result;
+    }
+
+    /**
+     * Read the cipher settings in effect on this connection
+     * @returns {{version: string, pageSize: number, kdfIter: number, hmacAlgorithm: string,
+     *   kdfAlgorithm: string, plaintextHeaderSize: number}}
+     */
+    getCipherSettings() {
+        const pragmaValue = (pragma) => {
+            const row = this.query(`PRAGMA ${pragma}`)[0];
+            return row ? Object.values(row)[0] : null;
+        };
+
+        return {
+            version: pragmaValue('cipher_version'),
+            pageSize: Number(pragmaValue('cipher_page_size')),
+            kdfIter: Number(pragmaValue('kdf_iter')),
+            hmacAlgorithm: pragmaValue('cipher_hmac_algorithm'),
+            kdfAlgorithm: pragmaValue('cipher_kdf_algorithm'),
+            plaintextHeaderSize: Number(pragmaValue('cipher_plaintext_header_size'))
+        };
+    }
+
+    /**
+     * Check that the key set on this connection can decrypt the database,
+     * by reading the schema (the first read is what decrypts page 1)
+     * @throws {WrongKeyError} If the key is wrong or the file is not a database
+     */
+    verifyKey() {
         try {
-            const errMsgPtr = this.module._malloc(4);
+            this.query('SELECT count(*) FROM sqlite_master');
+        } catch (e) {
+            if (e instanceof SqliteError && e.errno === SQLITE_NOTADB) {
+                throw new WrongKeyError(undefined, { sql: e.sql });
+            }
+            throw e;
+        }
+    }
 
-            const result = this.module._sqlite3_exec(
-                this.dbPtr,
-                sqlPtr,
-                0, // no callback
-                0, // no callback arg
-                errMsgPtr
-            );
+    /**
+     * Re-key the database with a new encryption key
+     * @param {string|Uint8Array} newKey - New passphrase or raw key material, as for setKey()
+     */
+    rekey(newKey) {
+        if (this.closed) throw new Error('Database is closed');
+        const result = this.withKeyBuffer(newKey, (keyPtr, length) =>
+            this.module._sqlite3_rekey_v2(this.dbPtr, 0, keyPtr, length)
+        );
+        if (result !== SQLITE_OK) {
+            throw resultError('Failed to re-key database', result);
+        }
+    }
 
-            if (result !== SQLITE_OK) {
-                const errPtr = this.module.getValue(errMsgPtr, 'i32');
-                const errMsg = errPtr ? this.module.UTF8ToString(errPtr) : 'Unknown error';
-                this.module._free(errMsgPtr);
-                throw new Error(`SQLite error: ${errMsg}`);
+    /**
+     * Copy key material into a temporary WASM buffer, call fn(keyPtr, length),
+     * then wipe and free the buffer
+     */
+    withKeyBuffer(key, fn) {
+        const module = this.module;
+        let keyPtr;
+        let length;
+
+        if (typeof key === 'string') {
+            length = module.lengthBytesUTF8(key);
+            keyPtr = module._malloc(length + 1);
+            module.stringToUTF8(key, keyPtr, length + 1);
+        } else if (key instanceof Uint8Array) {
+            if (key.length !== RAW_KEY_BYTES && key.length !== RAW_KEY_BYTES + SALT_BYTES) {
+                throw new RangeError(
+                    `Raw keys must be ${RAW_KEY_BYTES} bytes, or ${RAW_KEY_BYTES + SALT_BYTES} bytes including the salt`
+                );
             }
+            // SQLCipher takes raw key material in its blob-literal form, x'<hex>',
+            // written directly into WASM memory so no hex string is created in JS
+            length = 3 + key.length * 2;
+            keyPtr = module._malloc(length);
+            const heap = module.HEAPU8;
+            heap[keyPtr] = CHAR_X;
+            heap[keyPtr + 1] = CHAR_QUOTE;
+            for (let i = 0; i < key.length; i++) {
+                heap[keyPtr + 2 + i * 2] = HEX_DIGITS[key[i] >> 4];
+                heap[keyPtr + 3 + i * 2] = HEX_DIGITS[key[i] & 0x0f];
+            }
+            heap[keyPtr + length - 1] = CHAR_QUOTE;
+        } else {
+            throw new TypeError('Encryption key must be a string or a Uint8Array');
+        }
 
-            this.module._free(errMsgPtr);
+        try {
+            return fn(keyPtr, length);
         } finally {
-            this.module._free(sqlPtr);
+            module.HEAPU8.fill(0, keyPtr, keyPtr + length);
+            module._free(keyPtr);
         }
     }
 
     /**
-     * Execute a SQL query and return results as array of objects
+     * Copy this database's schema and data into a new database file with
+     * sqlcipher_export(), encrypting, decrypting or re-encrypting it on the way.
+     * The destination is attached for the duration of the copy and always detached;
+     * if the copy fails, a destination file created by the export is removed.
+     * @param {string} path - Destination database file
+     * @param {string|Uint8Array|object} [options] - Destination key, or an options object
+     * @param {string|Uint8Array} [options.key] - Key for the destination (see setKey() for raw
+     *   keys); omit it, or pass null or '', to write a plaintext database
+     * @param {object} [options.cipher] - SQLCipher settings for the destination,
+     *   see applyCipherSettings()
      */
-    query(sql, params = []) {
+    exportTo(path, options = null) {
         if (this.closed) throw new Error('Database is closed');
 
-        const sqlPtr = this.module.allocateUTF8(sql);
-        const stmtPtr = this.module._malloc(4);
+        if (options === null || typeof options === 'string' || options instanceof Uint8Array) {
+            options = { key: options };
+        }
+        const { key = null, cipher = null } = options;
+        if (cipher && !key) {
+            throw new Error('Cipher settings require an encryption key');
+        }
 
-        try {
-            // Prepare statement
-            const result = this.module._sqlite3_prepare_v2(
-                this.dbPtr,
-                sqlPtr,
-                -1,
-                stmtPtr,
-                0
-            );
+        const FS = this.module.FS;
+        const existed = FS.analyzePath(path).exists;
+        let attached = false;
 
-            if (result !== SQLITE_OK) {
-                const errMsg = this.getErrorMessage();
-                throw new Error(`Failed to prepare statement: ${errMsg}`);
+        try {
+            // Bound rather than quoted into the SQL, so paths and passphrases need no escaping;
+            // an empty key attaches the destination unencrypted
+            const attach = this.prepare(`ATTACH DATABASE ? AS ${EXPORT_SCHEMA} KEY ?`);
+            try {
+                this.bindValue(attach.stmtPtr, 1, path);
+                const result = this.withKeyBuffer(key || '', (keyPtr, length) =>
+                    this.module._sqlite3_bind_text(attach.stmtPtr, 2, keyPtr, length, SQLITE_TRANSIENT)
+                );
+                if (result !== SQLITE_OK) {
+                    throw this.createError('Failed to bind export key');
+                }
+                attach.step();
+            } finally {
+                attach.finalize();
             }
+            attached = true;
 
-            const stmt = this.module.getValue(stmtPtr, 'i32');
-            if (!stmt) {
-                throw new Error('Failed to prepare statement: null statement');
+            if (cipher) {
+                this.applyCipherSettings(cipher, EXPORT_SCHEMA);
             }
-
-            try {
-                // Bind parameters if any
-                this.bindParameters(stmt, params);
-
-                // Get column names
-                const columnCount = this.module._sqlite3_column_count(stmt);
-                const columns = [];
-                for (let i = 0; i < columnCount; i++) {
-                    const namePtr = this.module._sqlite3_column_name(stmt, i);
-                    columns.push(this.module.UTF8ToString(namePtr));
+            this.query(`SELECT sqlcipher_export('${EXPORT_SCHEMA}')`);
+        } catch (e) {
+            if (attached) {
+                try {
+                    this.exec(`DETACH DATABASE ${EXPORT_SCHEMA}`);
+                } catch {
+                    // Report the export failure rather than the cleanup one
                 }
+            }
+            if (!existed) {
+                removeFile(FS, path);
+            }
+            throw e;
+        }
 
-                // Fetch rows
-                const rows = [];
-                while (true) {
-                    const stepResult = this.module._sqlite3_step(stmt);
+        this.exec(`DETACH DATABASE ${EXPORT_SCHEMA}`);
+    }
 
-                    if (stepResult === SQLITE_DONE) {
-                        break;
-                    }
+    /**
+     * Read the database into a Uint8Array. A file-backed database is returned
+     * exactly as stored, so an encrypted database stays encrypted and can be
+     * reopened with SQLiteAPI#openFromBytes; an in-memory database is serialized
+     * with sqlite3_serialize().
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+        if (this.closed) throw new Error('Database is closed');
+        if (this.inTransaction) {
+            throw new Error('Cannot read the database while a transaction is open');
+        }
 
-                    if (stepResult !== SQLITE_ROW) {
-                        const errMsg = this.getErrorMessage();
-                        throw new Error(`Step failed: ${errMsg}`);
-                    }
+        const module = this.module;
+        const mainPtr = module.allocateUTF8('main');
+        try {
+            const filenamePtr = module._sqlite3_db_filename(this.dbPtr, mainPtr);
+            const filename = filenamePtr ? module.UTF8ToString(filenamePtr) : '';
 
-                    const row = {};
-                    for (let i = 0; i < columnCount; i++) {
-                        const valuePtr = this.module._sqlite3_column_text(stmt, i);
-                        row[columns[i]] = valuePtr ? this.module.UTF8ToString(valuePtr) : null;
-                    }
-                    rows.push(row);
+            if (filename) {
+                // Move WAL content into the main file so the copy is complete
+                if (String(this.query('PRAGMA journal_mode')[0].journal_mode).toLowerCase() === 'wal') {
+                    this.exec('PRAGMA wal_checkpoint(TRUNCATE)');
                 }
+                return this.vfs ? this.vfs.readFile(filename) : module.FS.readFile(filename);
+            }
 
-                return rows;
+            const sizePtr = module._malloc(8);
+            try {
+                const dataPtr = module._sqlite3_serialize(this.dbPtr, mainPtr, sizePtr, 0);
+                if (!dataPtr) {
+                    throw new SqliteError('Failed to serialize database: out of memory', {
+                        errno: SQLITE_NOMEM
+                    });
+                }
+                const size = Number(module.getValue(sizePtr, 'i64'));
+                const bytes = module.HEAPU8.slice(dataPtr, dataPtr + size);
+                module._sqlite3_free(dataPtr);
+                return bytes;
             } finally {
-                this.module._sqlite3_finalize(stmt);
+                module._free(sizePtr);
             }
         } finally {
-            this.module._free(stmtPtr);
-            this.module._free(sqlPtr);
+            module._free(mainPtr);
         }
     }
 
     /**
-     * Bind parameters to a prepared statement
+     * Record that a statement was stepped. For persisted databases, a statement
+     * that writes marks the database dirty until its changes are stored.
      */
-    bindParameters(stmt, params) {
-        for (let i = 0; i < params.length; i++) {
-            const param = params[i];
-            const index = i + 1; // SQLite indices are 1-based
-
-            if (param === null || param === undefined) {
-                // SQLite will bind as NULL by default
-                continue;
-            } else if (typeof param === 'number') {
-                if (Number.isInteger(param)) {
-                    this.module._sqlite3_bind_int(stmt, index, param);
-                } else {
-                    this.module._sqlite3_bind_double(stmt, index, param);
-                }
-            } else if (typeof param === 'string') {
-                const strPtr = this.module.allocateUTF8(param);
-                this.module._sqlite3_bind_text(stmt, index, strPtr, -1, 0);
-                // Note: we're leaking strPtr here for simplicity
-                // In production, you'd need better memory management
-            } else {
-                throw new Error(`Unsupported parameter type: ${typeof param}`);
-            }
+    trackStep(stmtPtr) {
+        if (this.persistence && !this.module._sqlite3_stmt_readonly(stmtPtr)) {
+            this.dirty = true;
         }
     }
 
     /**
-     * Get the last error message
+     * Store a persisted database once its changes have been committed. While a
+     * save is in flight the database stays dirty, and the next snapshot is taken
+     * when that save finishes, covering every commit made in the meantime.
      */
-    getErrorMessage() {
-        const errPtr = this.module._sqlite3_errmsg(this.dbPtr);
-        return errPtr ? this.module.UTF8ToString(errPtr) : 'Unknown error';
+    syncIfCommitted() {
+        if (this.dirty && !this.syncing && !this.saving && !this.inTransaction) {
+            this.scheduleSync();
+        }
     }
 
     /**
-     * Get the number of rows affected by the last INSERT, UPDATE, or DELETE
+     * Snapshot the database file now and queue it to be saved by the
+     * persistence backend after any save still in flight
      */
-    getChanges() {
-        return this.module._sqlite3_changes(this.dbPtr);
+    scheduleSync() {
+        const { backend, name } = this.persistence;
+        let bytes;
+        this.syncing = true;
+        try {
+            bytes = this.toBytes();
+        } finally {
+            this.syncing = false;
+        }
+        this.dirty = false;
+
+        const previous = this.saving ? this.pendingSync : Promise.resolve();
+        this.saving = true;
+        this.pendingSync = previous
+            .then(() => backend.save(name, bytes))
+            .catch((e) => {
+                this.syncError = this.syncError || e;
+            })
+            .then(() => {
+                this.saving = false;
+                if (!this.closed) {
+                    this.syncIfCommitted();
+                }
+                // Settle only once the snapshot taken for later commits is saved too
+                return this.saving ? this.pendingSync : undefined;
+            });
     }
 
     /**
-     * Close the database
+     * Wait until every committed change of a persisted database has been stored
+     * @returns {Promise<void>} Rejects with the first save that failed since the last sync()
      */
-    close() {
-        if (this.closed) return;
+    async sync() {
+        if (!this.persistence) throw new Error('Database is not persisted');
+        if (!this.closed) {
+            this.syncIfCommitted();
+        }
+        await this.pendingSync;
 
-        this.module._sqlite3_close(this.dbPtr);
-        this.closed = true;
+        const error = this.syncError;
+        if (error) {
+            this.syncError = null;
+            throw error;
+        }
     }
-}
 
-class SQLiteAPI {
-    constructor(module) {
-        this.module = module;
+    /**
+     * Execute one or more SQL statements without returning results
+     * @param {string} sql - SQL statement, or a script of several statements
+     * @param {Array|object} [params] - Positional values are consumed in order across the
+     *   script's statements; named values are shared by every statement that uses them.
+     *   When omitted, placeholders are left NULL. Values left over, and named values no
+     *   statement uses, are rejected before the last statement runs; earlier statements
+     *   of a script have run by then, so wrap a script in a transaction to make it
+     *   all-or-nothing.
+     * @returns {{changes: number, lastInsertRowid: number|bigint}} Rows modified by the
+     *   whole script and the rowid of the last INSERT
+     */
+    exec(sql, params) {
+        if (this.closed) throw new Error('Database is closed');
+
+        const named = params !== undefined && !Array.isArray(params);
+        if (named && (params === null || typeof params !== 'object')) {
+            throw new Error('Parameters must be an array or an object of named values');
+        }
+        const usedKeys = new Set();
+        let consumed = 0;
+
+        const module = this.module;
+        const changesBefore = module._sqlite3_total_changes(this.dbPtr);
+
+        const sqlLength = module.lengthBytesUTF8(sql);
+        const sqlPtr = module._malloc(sqlLength + 1);
+        const stmtPtrPtr = module._malloc(4);
+        const tailPtrPtr = module._malloc(4);
+        module.stringToUTF8(sql, sqlPtr, sqlLength + 1);
+
+        try {
+            const endPtr = sqlPtr + sqlLength;
+            let offsetPtr = sqlPtr;
+
+            // Prepare one statement at a time, continuing from the tail pointer
+            while (offsetPtr < endPtr) {
+                const result = module._sqlite3_prepare_v2(
+                    this.dbPtr,
+                    offsetPtr,
+                    endPtr - offsetPtr,
+                    stmtPtrPtr,
+                    tailPtrPtr
+                );
+
+                if (result !== SQLITE_OK) {
+                    throw this.createError('SQLite error', sql);
+                }
+
+                const stmt = module.getValue(stmtPtrPtr, 'i32');
+                offsetPtr = module.getValue(tailPtrPtr, 'i32');
+                if (!stmt) {
+                    // Only whitespace or comments remained
+                    continue;
+                }
+
+                try {
+                    // Values left over are rejected before the last statement runs, not after its write
+                    const last = params !== undefined &&
+                        BLANK_SQL.test(module.UTF8ToString(offsetPtr, endPtr - offsetPtr));
+                    if (named) {
+                        this.bindNamedParameters(stmt, params, usedKeys);
+                        if (last) {
+                            this.checkUnusedParameters(params, usedKeys);
+                        }
+                    } else if (params !== undefined) {
+                        const count = module._sqlite3_bind_parameter_count(stmt);
+                        if (consumed + count > params.length) {
+                            throw new Error(
+                                `Expected at least ${consumed + count} parameter(s) but got ${params.length}`
+                            );
+                        }
+                        this.bindParameters(stmt, params.slice(consumed, consumed + count));
+                        consumed += count;
+                        if (last && consumed !== params.length) {
+                            throw new Error(`Expected ${consumed} parameter(s) but got ${params.length}`);
+                        }
+                    }
+
+                    let stepResult;
+                    do {
+                        stepResult = module._sqlite3_step(stmt);
+                    } while (stepResult === SQLITE_ROW);
+                    this.trackStep(stmt);
+
+                    if (stepResult !== SQLITE_DONE) {
+                        throw this.createError('SQLite error', sql);
+                    }
+                } finally {
+                    module._sqlite3_finalize(stmt);
+                }
+                this.syncIfCommitted();
+            }
+        } finally {
+            module._free(tailPtrPtr);
+            module._free(stmtPtrPtr);
+            module._free(sqlPtr);
+        }
+
+        if (named) {
+            this.checkUnusedParameters(params, usedKeys);
+        } else if (params !== undefined && consumed !== params.length) {
+            throw new Error(`Expected ${consumed} parameter(s) but got ${params.length}`);
+        }
+
+        return {
+            changes: module._sqlite3_total_changes(this.dbPtr) - changesBefore,
+            lastInsertRowid: this.getLastInsertRowid()
+        };
     }
 
     /**
-     * Open a database
-     * @param {string} filename - Database filename (or ':memory:' for in-memory)
-     * @param {string} [key] - Optional encryption key for SQLCipher
+     * Prepare a SQL statement for repeated execution
+     * @param {string} sql - A single SQL statement
+     * @param {object} [options]
+     * @param {boolean} [options.stringValues] - Override the database's string decoding setting
+     * @param {boolean} [options.raw=false] - Return rows as arrays of column values instead of objects
+     * @returns {Statement}
      */
-    open(filename = ':memory:', key = null) {
-        const filenamePtr = this.module.allocateUTF8(filename);
-        const dbPtrPtr = this.module._malloc(4);
+    prepare(sql, options = {}) {
+        if (this.closed) throw new Error('Database is closed');
+
+        const sqlPtr = this.module.allocateUTF8(sql);
+        const stmtPtrPtr = this.module._malloc(4);
 
         try {
-            const result = this.module._sqlite3_open(filenamePtr, dbPtrPtr);
+            const result = this.module._sqlite3_prepare_v2(
+                this.dbPtr,
+                sqlPtr,
+                -1,
+                stmtPtrPtr,
+                0
+            );
 
             if (result !== SQLITE_OK) {
-                throw new Error(`Failed to open database: ${result}`);
+                throw this.createError('Failed to prepare statement', sql);
             }
 
-            const dbPtr = this.module.getValue(dbPtrPtr, 'i32');
-            if (!dbPtr) {
-                throw new Error('Failed to open database: null pointer');
+            const stmtPtr = this.module.getValue(stmtPtrPtr, 'i32');
+            if (!stmtPtr) {
+                throw new Error('Failed to prepare statement: null statement');
             }
 
-            const db = new SQLiteDatabase(this.module, dbPtr);
+            const stmt = new Statement(this, stmtPtr, sql, options);
+            this.statements.add(stmt);
+            return stmt;
+        } finally {
+            this.module._free(stmtPtrPtr);
+            this.module._free(sqlPtr);
+        }
+    }
 
-            // Set encryption key if provided
-            if (key) {
-                db.setKey(key);
-            }
+    /**
+     * Execute a SQL query and return results as array of objects
+     * @param {string} sql - SQL query
+     * @param {Array|object} [params] - Positional values or named values; when omitted,
+     *   placeholders are left unbound and read as NULL
+     * @param {object} [options] - Statement options, see prepare()
+     */
+    query(sql, params, options = {}) {
+        const stmt = this.prepare(sql, options);
+        try {
+            return stmt.all(params);
+        } finally {
+            stmt.finalize();
+        }
+    }
 
-            return db;
+    /**
+     * Execute a SQL query and return an iterator that steps through the rows
+     * lazily, so large results never have to fit in memory at once. The statement
+     * is prepared by the first next(), so an iterator that is never started holds
+     * nothing, and is finalized when iteration finishes, throws, or is left early
+     * with break.
+     * @param {string} sql - SQL query
+     * @param {Array|object} [params] - Positional values or named values
+     * @param {object} [options] - Statement options, see prepare()
+     * @returns {Generator<object|Array>}
+     */
+    *iterate(sql, params, options = {}) {
+        const stmt = this.prepare(sql, options);
+        try {
+            yield* stmt.iterate(params);
         } finally {
-            this.module._free(dbPtrPtr);
-            this.module._free(filenamePtr);
+            stmt.finalize();
         }
     }
-}
 
-/**
- * Initialize the SQLite API from a WASM module
- */
-async function initSQLite(modulePath) {
-    const wasmModule = require(modulePath);
+    /**
+     * Bind parameters to a prepared statement
+     * @param {number} stmt - sqlite3_stmt* handle
+     * @param {Array|object} params - Positional values, or an object keyed by parameter
+     *   name (with or without its ':', '@' or '$' prefix)
+     */
+    bindParameters(stmt, params) {
+        const count = this.module._sqlite3_bind_parameter_count(stmt);
 
-    return new Promise((resolve, reject) => {
-        const initialize = () => {
-            // OpenSSL is initialized automatically by SQLCipher
-            resolve(new SQLiteAPI(wasmModule));
-        };
+        if (Array.isArray(params)) {
+            if (params.length !== count) {
+                throw new Error(`Expected ${count} parameter(s) but got ${params.length}`);
+            }
+            for (let i = 0; i < params.length; i++) {
+                this.bindValue(stmt, i + 1, params[i]); // SQLite indices are 1-based
+            }
+            return;
+        }
 
-        if (wasmModule.calledRun) {
-            initialize();
-        } else {
-            wasmModule.onRuntimeInitialized = initialize;
+        if (params === null || typeof params !== 'object') {
+            throw new Error('Parameters must be an array or an object of named values');
         }
-    });
+
+        const usedKeys = new Set();
+        this.bindNamedParameters(stmt, params, usedKeys);
+        this.checkUnusedParameters(params, usedKeys);
+    }
+
+    /**
+     * Bind every parameter of a statement from an object of named values
+     * @param {Set<string>} usedKeys - Collects the keys of params that were bound
+     */
+    bindNamedParameters(stmt, params, usedKeys) {
+        const count = this.module._sqlite3_bind_parameter_count(stmt);
+
+        for (let index = 1; index <= count; index++) {
+            const namePtr = this.module._sqlite3_bind_parameter_name(stmt, index);
+            if (!namePtr) {
+                throw new Error(`Parameter ${index} is positional; pass parameters as an array`);
+            }
+
+            const name = this.module.UTF8ToString(namePtr);
+            const bareName = name.slice(1);
+            let key;
+            if (Object.prototype.hasOwnProperty.call(params, bareName)) {
+                key = bareName;
+            } else if (Object.prototype.hasOwnProperty.call(params, name)) {
+                key = name;
+            } else {
+                throw new Error(`Missing value for named parameter "${name}"`);
+            }
+
+            usedKeys.add(key);
+            this.bindValue(stmt, index, params[key]);
+        }
+    }
+
+    /**
+     * Reject named values that no statement used
+     */
+    checkUnusedParameters(params, usedKeys) {
+        for (const key of Object.keys(params)) {
+            if (!usedKeys.has(key)) {
+                throw new Error(`Unknown named parameter "${key}"`);
+            }
+        }
+    }
+
+    /**
+     * Bind a single value to a 1-based parameter index.
+     * Strings and blobs are bound with SQLITE_TRANSIENT, so SQLite keeps its own
+     * copy and the temporary buffer is freed before returning.
+     */
+    bindValue(stmt, index, value) {
+        const module = this.module;
+        let result;
+
+        if (value === null || value === undefined) {
+            result = module._sqlite3_bind_null(stmt, index);
+        } else if (typeof value === 'number') {
+            if (isInt64Number(value)) {
+                result = value >= INT32_MIN && value <= INT32_MAX
+                    ? module._sqlite3_bind_int(stmt, index, value)
+                    : module._sqlite3_bind_int64(stmt, index, BigInt(value));
+            } else {
+                result = module._sqlite3_bind_double(stmt, index, value);
+            }
+        } else if (typeof value === 'bigint') {
+            if (value < INT64_MIN || value > INT64_MAX) {
+                throw new RangeError(`BigInt parameter ${index} does not fit in a 64-bit integer`);
+            }
+            result = module._sqlite3_bind_int64(stmt, index, value);
+        } else if (typeof value === 'boolean') {
+            result = module._sqlite3_bind_int(stmt, index, value ? 1 : 0);
+        } else if (typeof value === 'string') {
+            const length = module.lengthBytesUTF8(value);
+            const strPtr = module._malloc(length + 1);
+            try {
+                module.stringToUTF8(value, strPtr, length + 1);
+                result = module._sqlite3_bind_text(stmt, index, strPtr, length, SQLITE_TRANSIENT);
+            } finally {
+                module._free(strPtr);
+            }
+        } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            // Uint8Array, Buffer, other typed arrays and DataView are bound by their raw bytes
+            const bytes = value instanceof ArrayBuffer
+                ? new Uint8Array(value)
+                : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            // malloc(0) may return NULL, which SQLite would bind as NULL rather than an empty blob
+            const blobPtr = module._malloc(Math.max(bytes.length, 1));
+            try {
+                module.HEAPU8.set(bytes, blobPtr);
+                result = module._sqlite3_bind_blob(stmt, index, blobPtr, bytes.length, SQLITE_TRANSIENT);
+            } finally {
+                module._free(blobPtr);
+            }
+        } else {
+            throw new Error(`Unsupported parameter type: ${typeof value}`);
+        }
+
+        if (result !== SQLITE_OK) {
+            throw this.createError(`Failed to bind parameter ${index}`);
+        }
+    }
+
+    /**
+     * Register a scalar SQL function implemented in JavaScript. Arguments arrive
+     * decoded as for query results; the return value is converted back by type
+     * (null/undefined, number, bigint, boolean, string or bytes). An exception
+     * thrown by fn fails the SQL statement with its message.
+     * @param {string} name - SQL function name
+     * @param {object} [options]
+     * @param {boolean} [options.deterministic=false] - Same result for the same arguments,
+     *   which lets SQLite use it in indexes and factor it out of loops
+     * @param {boolean} [options.varargs=false] - Accept any number of arguments
+     * @param {number} [options.argCount] - Number of arguments, when fn.length does not
+     *   give it: fn.length is 0 for (...args) and stops at the first default parameter
+     * @param {boolean} [options.directOnly=false] - Only callable from top-level SQL, not from
+     *   triggers, views or schema structures
+     * @param {Function} fn - Implementation, called with the SQL arguments
+     * @returns {SQLiteDatabase} this, for chaining
+     */
+    function(name, options, fn) {
+        if (this.closed) throw new Error('Database is closed');
+        if (typeof options === 'function') {
+            fn = options;
+            options = {};
+        }
+        options = options || {};
+        if (typeof fn !== 'function') {
+            throw new TypeError('function() expects a function');
+        }
+
+        const nArg = functionArgCount(options, fn.length);
+        const xFunc = this.module.addFunction((ctx, argc, argv) => {
+            try {
+                this.setFunctionResult(ctx, fn(...this.readFunctionArgs(argc, argv)));
+            } catch (e) {
+                this.setFunctionError(ctx, e);
+            }
+        }, 'viii');
+
+        this.createFunction(name, nArg, options, [xFunc], (namePtr, flags) =>
+            this.module._sqlite3_create_function_v2(this.dbPtr, namePtr, nArg, flags, 0, xFunc, 0, 0, 0)
+        );
+        return this;
+    }
+
+    /**
+     * Register an aggregate SQL function implemented in JavaScript. Each group
+     * (or window frame) keeps its own accumulator: it begins as start, and
+     * step(acc, ...args) returns the next one (returning undefined keeps acc).
+     * The result is result(acc), or acc itself when result is omitted.
+     * Providing inverse(acc, ...args), which removes a row from acc, also makes
+     * the function usable as an aggregate window function with sliding frames.
+     * @param {string} name - SQL function name
+     * @param {object} options - Options as for function(), where argCount defaults to
+     *   step.length - 1, plus:
+     * @param {*} [options.start=null] - Initial accumulator, or a function returning
+     *   a fresh one for each group (use this for mutable values such as arrays)
+     * @param {Function} options.step - Adds a row to the accumulator
+     * @param {Function} [options.inverse] - Removes a row from the accumulator
+     * @param {Function} [options.result] - Maps the accumulator to the SQL result;
+     *   called for every row of a window, so it must not modify acc
+     * @returns {SQLiteDatabase} this, for chaining
+     */
+    aggregate(name, options) {
+        if (this.closed) throw new Error('Database is closed');
+        const { start = null, step, inverse, result } = options || {};
+        if (typeof step !== 'function') {
+            throw new TypeError('aggregate() expects a step function');
+        }
+        if (inverse !== undefined && typeof inverse !== 'function') {
+            throw new TypeError('aggregate() inverse must be a function');
+        }
+        if (result !== undefined && typeof result !== 'function') {
+            throw new TypeError('aggregate() result must be a function');
+        }
+
+        const module = this.module;
+        const nArg = functionArgCount(options, Math.max(step.length - 1, 0));
+        // Accumulators keyed by the sqlite3_aggregate_context() pointer of their group
+        const states = new Map();
+        const initial = () => (typeof start === 'function' ? start() : start);
+        const finish = (acc) => (result ? result(acc) : acc);
+        const contextState = (ctx) => {
+            const statePtr = module._sqlite3_aggregate_context(ctx, 8);
+            if (!statePtr) throw new Error('Out of memory allocating aggregate context');
+            if (!states.has(statePtr)) states.set(statePtr, initial());
+            return statePtr;
+        };
+        const update = (fn) => (ctx, argc, argv) => {
+            try {
+                const statePtr = contextState(ctx);
+                const next = fn(states.get(statePtr), ...this.readFunctionArgs(argc, argv));
+                if (next !== undefined) states.set(statePtr, next);
+            } catch (e) {
+                this.setFunctionError(ctx, e);
+            }
+        };
+
+        const xStep = module.addFunction(update(step), 'viii');
+        const xFinal = module.addFunction((ctx) => {
+            // A group with no rows never allocated a context
+            const statePtr = module._sqlite3_aggregate_context(ctx, 0);
+            const acc = states.has(statePtr) ? states.get(statePtr) : initial();
+            states.delete(statePtr);
+            try {
+                this.setFunctionResult(ctx, finish(acc));
+            } catch (e) {
+                this.setFunctionError(ctx, e);
+            }
+        }, 'vi');
+        const functionPtrs = [xStep, xFinal];
+
+        let xValue = 0;
+        let xInverse = 0;
+        if (inverse) {
+            xValue = module.addFunction((ctx) => {
+                try {
+                    this.setFunctionResult(ctx, finish(states.get(contextState(ctx))));
+                } catch (e) {
+                    this.setFunctionError(ctx, e);
+                }
+            }, 'vi');
+            xInverse = module.addFunction(update(inverse), 'viii');
+            functionPtrs.push(xValue, xInverse);
+        }
+
+        this.createFunction(name, nArg, options, functionPtrs, (namePtr, flags) =>
+            module._sqlite3_create_window_function(
+                this.dbPtr, namePtr, nArg, flags, 0, xStep, xFinal, xValue, xInverse, 0
+            )
+        );
+        return this;
+    }
+
+    /**
+     * Register a collating sequence implemented in JavaScript, for use in
+     * COLLATE clauses, ORDER BY and indexes. compare(a, b) receives two strings
+     * and returns a negative number, zero or a positive number, as for
+     * Array.prototype.sort. It must be consistent: an index built with one
+     * ordering is corrupt under another, so replacing a collation that an
+     * index depends on is refused, whether it was registered here or is built
+     * in (BINARY, NOCASE, RTRIM). Registering a name the connection does not
+     * have yet is always allowed, as that is how an existing database's indexes
+     * get their collation. An exception thrown by compare interrupts
+     * the running statement, which fails with the exception's message.
+     * @param {string} name - Collation name
+     * @param {function(string, string): number} compare - Comparator
+     * @returns {SQLiteDatabase} this, for chaining
+     */
+    collation(name, compare) {
+        if (this.closed) throw new Error('Database is closed');
+        if (typeof compare !== 'function') {
+            throw new TypeError('collation() expects a comparison function');
+        }
+
+        const key = name.toLowerCase();
+        const installed = this.collations.has(key) ||
+            this.query('PRAGMA collation_list').some((row) => row.name.toLowerCase() === key);
+        if (installed) {
+            const indexes = this.collationIndexes(name);
+            if (indexes.length > 0) {
+                throw new Error(`Cannot replace collation ${name}: index ${indexes.join(', ')} depends on it`);
+            }
+        }
+
+        const module = this.module;
+        const xCompare = module.addFunction((arg, length1, ptr1, length2, ptr2) => {
+            try {
+                const order = compare(module.UTF8ToString(ptr1, length1), module.UTF8ToString(ptr2, length2));
+                return order < 0 ? -1 : order > 0 ? 1 : 0;
+            } catch (e) {
+                // SQLite cannot fail a comparison, so stop the statement instead
+                if (!this.collationError) this.collationError = e;
+                module._sqlite3_interrupt(this.dbPtr);
+                return 0;
+            }
+        }, 'iiiiii');
+
+        const namePtr = module.allocateUTF8(name);
+        let result;
+        try {
+            result = module._sqlite3_create_collation_v2(this.dbPtr, namePtr, SQLITE_UTF8, 0, xCompare, 0);
+        } finally {
+            module._free(namePtr);
+        }
+        if (result !== SQLITE_OK) {
+            module.removeFunction(xCompare);
+            throw this.createError(`Failed to create collation ${name}`);
+        }
+
+        if (this.collations.has(key)) {
+            module.removeFunction(this.collations.get(key));
+        }
+        this.collations.set(key, xCompare);
+        return this;
+    }
+
+    /**
+     * Names of the indexes, in any attached database, with a column using a collation
+     */
+    collationIndexes(name) {
+        const indexes = [];
+        for (const { name: schema } of this.query('PRAGMA database_list')) {
+            const rows = this.query(`
+                SELECT DISTINCT il.name AS name
+                FROM "${schema.replace(/"/g, '""')}".sqlite_schema AS m,
+                    pragma_index_list(m.name, ?1) AS il,
+                    pragma_index_xinfo(il.name, ?1) AS ix
+                WHERE m.type = 'table' AND ix.coll = ?2 COLLATE NOCASE
+            `, [schema, name]);
+            indexes.push(...rows.map((row) => row.name));
+        }
+        return indexes;
+    }
+
+    /**
+     * Register a function with SQLite via create(namePtr, flags), taking ownership
+     * of its WASM function pointers; a function it replaces is released
+     */
+    createFunction(name, nArg, options, functionPtrs, create) {
+        const module = this.module;
+        let flags = SQLITE_UTF8;
+        if (options.deterministic) flags |= SQLITE_DETERMINISTIC;
+        if (options.directOnly) flags |= SQLITE_DIRECTONLY;
+
+        const namePtr = module.allocateUTF8(name);
+        let result;
+        try {
+            result = create(namePtr, flags);
+        } finally {
+            module._free(namePtr);
+        }
+        if (result !== SQLITE_OK) {
+            for (const ptr of functionPtrs) {
+                module.removeFunction(ptr);
+            }
+            throw this.createError(`Failed to create function ${name}`);
+        }
+
+        const key = `${name.toLowerCase()}/${nArg}`;
+        this.releaseFunction(key);
+        this.functions.set(key, functionPtrs);
+    }
+
+    releaseFunction(key) {
+        const functionPtrs = this.functions.get(key);
+        if (functionPtrs) {
+            for (const ptr of functionPtrs) {
+                this.module.removeFunction(ptr);
+            }
+            this.functions.delete(key);
+        }
+    }
+
+    /**
+     * Decode the sqlite3_value* arguments of a function call
+     */
+    readFunctionArgs(argc, argv) {
+        const module = this.module;
+        const args = new Array(argc);
+
+        for (let i = 0; i < argc; i++) {
+            const valuePtr = module.getValue(argv + i * 4, 'i32');
+            switch (module._sqlite3_value_type(valuePtr)) {
+                case SQLITE_INTEGER:
+                    args[i] = int64ToJS(module._sqlite3_value_int64(valuePtr));
+                    break;
+                case SQLITE_FLOAT:
+                    args[i] = module._sqlite3_value_double(valuePtr);
+                    break;
+                case SQLITE_TEXT: {
+                    const textPtr = module._sqlite3_value_text(valuePtr);
+                    args[i] = module.UTF8ToString(textPtr, module._sqlite3_value_bytes(valuePtr));
+                    break;
+                }
+                case SQLITE_BLOB: {
+                    const blobPtr = module._sqlite3_value_blob(valuePtr);
+                    const length = module._sqlite3_value_bytes(valuePtr);
+                    args[i] = module.HEAPU8.slice(blobPtr, blobPtr + length);
+                    break;
+                }
+                default:
+                    args[i] = null;
+            }
+        }
+        return args;
+    }
+
+    /**
+     * Set a function's result from a JavaScript value, by type as for bindValue()
+     */
+    setFunctionResult(ctx, value) {
+        const module = this.module;
+
+        if (value === null || value === undefined) {
+            module._sqlite3_result_null(ctx);
+        } else if (typeof value === 'number') {
+            if (isInt64Number(value)) {
+                if (value >= INT32_MIN && value <= INT32_MAX) {
+                    module._sqlite3_result_int(ctx, value);
+                } else {
+                    module._sqlite3_result_int64(ctx, BigInt(value));
+                }
+            } else {
+                module._sqlite3_result_double(ctx, value);
+            }
+        } else if (typeof value === 'bigint') {
+            if (value < INT64_MIN || value > INT64_MAX) {
+                throw new RangeError('BigInt result does not fit in a 64-bit integer');
+            }
+            module._sqlite3_result_int64(ctx, value);
+        } else if (typeof value === 'boolean') {
+            module._sqlite3_result_int(ctx, value ? 1 : 0);
+        } else if (typeof value === 'string') {
+            const length = module.lengthBytesUTF8(value);
+            const strPtr = module._malloc(length + 1);
+            try {
+                module.stringToUTF8(value, strPtr, length + 1);
+                module._sqlite3_result_text(ctx, strPtr, length, SQLITE_TRANSIENT);
+            } finally {
+                module._free(strPtr);
+            }
+        } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            const bytes = value instanceof ArrayBuffer
+                ? new Uint8Array(value)
+                : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            const blobPtr = module._malloc(Math.max(bytes.length, 1));
+            try {
+                module.HEAPU8.set(bytes, blobPtr);
+                module._sqlite3_result_blob(ctx, blobPtr, bytes.length, SQLITE_TRANSIENT);
+            } finally {
+                module._free(blobPtr);
+            }
+        } else {
+            throw new TypeError(`Unsupported function result type: ${typeof value}`);
+        }
+    }
+
+    /**
+     * Fail a function call with the message of a JavaScript exception
+     */
+    setFunctionError(ctx, error) {
+        const message = error instanceof Error ? error.message : String(error);
+        const length = this.module.lengthBytesUTF8(message);
+        const messagePtr = this.module._malloc(length + 1);
+        try {
+            this.module.stringToUTF8(message, messagePtr, length + 1);
+            this.module._sqlite3_result_error(ctx, messagePtr, length);
+        } finally {
+            this.module._free(messagePtr);
+        }
+    }
+
+    /**
+     * Wrap a function so that it runs inside a transaction.
+     * The transaction commits when the function returns and rolls back if it throws.
+     * Calling a wrapped function while a transaction is already open uses a
+     * SAVEPOINT instead, so transactional functions can be nested.
+     * @param {Function} fn - Synchronous function to run; receives the wrapper's arguments
+     * @returns {Function} Wrapper using BEGIN, with .deferred, .immediate and .exclusive variants
+     */
+    transaction(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('transaction() expects a function');
+        }
+
+        const db = this;
+        const wrap = (beginSql) => function (...args) {
+            return db.runTransaction(beginSql, fn, this, args);
+        };
+
+        const wrapped = wrap('BEGIN');
+        wrapped.deferred = wrap('BEGIN DEFERRED');
+        wrapped.immediate = wrap('BEGIN IMMEDIATE');
+        wrapped.exclusive = wrap('BEGIN EXCLUSIVE');
+        return wrapped;
+    }
+
+    runTransaction(beginSql, fn, thisArg, args) {
+        if (this.inTransaction) {
+            const savepoint = `sqlite_api_savepoint_${++this.savepointDepth}`;
+            this.exec(`SAVEPOINT ${savepoint}`);
+            try {
+                const result = this.callTransactionFunction(fn, thisArg, args);
+                this.exec(`RELEASE ${savepoint}`);
+                return result;
+            } catch (e) {
+                if (this.inTransaction) {
+                    this.exec(`ROLLBACK TO ${savepoint}`);
+                    this.exec(`RELEASE ${savepoint}`);
+                }
+                throw e;
+            } finally {
+                this.savepointDepth--;
+            }
+        }
+
+        this.exec(beginSql);
+        try {
+            const result = this.callTransactionFunction(fn, thisArg, args);
+            this.exec('COMMIT');
+            return result;
+        } catch (e) {
+            // Some errors (e.g. SQLITE_FULL) already rolled the transaction back
+            if (this.inTransaction) {
+                this.exec('ROLLBACK');
+            }
+            throw e;
+        }
+    }
+
+    callTransactionFunction(fn, thisArg, args) {
+        const result = fn.apply(thisArg, args);
+        if (result && typeof result.then === 'function') {
+            throw new TypeError('Transaction functions must be synchronous');
+        }
+        return result;
+    }
+
+    /**
+     * Whether a transaction is currently open on this connection
+     * @type {boolean}
+     */
+    get inTransaction() {
+        return !this.closed && this.module._sqlite3_get_autocommit(this.dbPtr) === 0;
+    }
+
+    /**
+     * Build a SqliteError from the connection's most recent error
+     * @param {string} prefix - Context prepended to SQLite's message
+     * @param {string} [sql] - SQL text that failed
+     */
+    createError(prefix, sql = null) {
+        // A statement interrupted by a failing collation reports the comparator's exception
+        const collationError = this.collationError;
+        this.collationError = null;
+        const message = collationError ? collationError.message : this.getErrorMessage();
+        return new SqliteError(`${prefix}: ${message}`, {
+            errno: this.module._sqlite3_errcode(this.dbPtr),
+            extendedErrno: this.module._sqlite3_extended_errcode(this.dbPtr),
+            sql
+        });
+    }
+
+    /**
+     * Get the last error message
+     */
+    getErrorMessage() {
+        const errPtr = this.module._sqlite3_errmsg(this.dbPtr);
+        return errPtr ? this.module.UTF8ToString(errPtr) : 'Unknown error';
+    }
+
+    /**
+     * Get the number of rows affected by the last INSERT, UPDATE, or DELETE
+     */
+    getChanges() {
+        return this.module._sqlite3_changes(this.dbPtr);
+    }
+
+    /**
+     * Get the rowid of the most recent successful INSERT
+     */
+    getLastInsertRowid() {
+        return int64ToJS(this.module._sqlite3_last_insert_rowid(this.dbPtr));
+    }
+
+    /**
+     * Close the database, finalizing any statements still open
+     * @returns {Promise<void>|undefined} For persisted databases, a promise that settles
+     *   once pending saves have finished and the backend has released the database
+     * @throws {SqliteError} If SQLite cannot close the connection yet, e.g. SQLITE_BUSY
+     */
+    close() {
+        if (this.closed) {
+            return this.persistence ? this.pendingSync : undefined;
+        }
+
+        for (const stmt of this.statements) {
+            stmt.finalize();
+        }
+        if (this.persistence) {
+            // Commits made while a save was in flight are snapshotted before the
+            // connection goes; an open transaction is rolled back first, as closing would
+            if (this.inTransaction) {
+                this.exec('ROLLBACK');
+            }
+            if (this.dirty) {
+                this.scheduleSync();
+            }
+        }
+        // SQLITE_BUSY leaves the connection open, and its functions still callable
+        if (this.module._sqlite3_close(this.dbPtr) !== SQLITE_OK) {
+            throw this.createError('Failed to close database');
+        }
+        this.closed = true;
+
+        // SQLite no longer calls user-defined functions once the connection is closed
+        for (const key of [...this.functions.keys()]) {
+            this.releaseFunction(key);
+        }
+        for (const xCompare of this.collations.values()) {
+            this.module.removeFunction(xCompare);
+        }
+        this.collations.clear();
+
+        if (this.ownedFile) {
+            removeFile(this.module.FS, this.ownedFile);
+        }
+
+        if (this.persistence) {
+            const { backend, name } = this.persistence;
+            this.pendingSync = this.sync().finally(() => backend.close && backend.close(name));
+            return this.pendingSync;
+        }
+    }
+}
+
+class Statement {
+    constructor(db, stmtPtr, sql, options = {}) {
+        this.db = db;
+        this.module = db.module;
+        this.stmtPtr = stmtPtr;
+        this.sql = sql;
+        this.finalized = false;
+        this.stringValues = options.stringValues === undefined
+            ? db.stringValues
+            : Boolean(options.stringValues);
+        // 'object', 'raw', 'pluck' or 'expand'; see readRow()
+        this.rowMode = options.raw ? 'raw' : 'object';
+        // Origin table of each column, set by expand()
+        this.columnTables = null;
+
+        // Column names are fixed for the lifetime of a prepared statement
+        const columnCount = this.module._sqlite3_column_count(stmtPtr);
+        this.columnNames = [];
+        for (let i = 0; i < columnCount; i++) {
+            const namePtr = this.module._sqlite3_column_name(stmtPtr, i);
+            this.columnNames.push(this.module.UTF8ToString(namePtr));
+        }
+    }
+
+    checkUsable() {
+        if (this.finalized) throw new Error('Statement is finalized');
+        if (this.db.closed) throw new Error('Database is closed');
+    }
+
+    /**
+     * Bind parameters, replacing any previous bindings
+     * @param {Array|object} params - Positional values or named values
+     * @returns {Statement} this, for chaining
+     */
+    bind(params = []) {
+        this.checkUsable();
+        this.module._sqlite3_reset(this.stmtPtr);
+        this.db.syncIfCommitted();
+        this.module._sqlite3_clear_bindings(this.stmtPtr);
+        this.db.bindParameters(this.stmtPtr, params);
+        return this;
+    }
+
+    /**
+     * Advance to the next result row
+     * @returns {boolean} true if a row is available, false when done
+     */
+    step() {
+        this.checkUsable();
+
+        const stepResult = this.module._sqlite3_step(this.stmtPtr);
+        this.db.trackStep(this.stmtPtr);
+        if (stepResult === SQLITE_ROW) {
+            return true;
+        }
+        if (stepResult === SQLITE_DONE) {
+            this.db.syncIfCommitted();
+            return false;
+        }
+
+        const error = this.db.createError('Step failed', this.sql);
+        this.module._sqlite3_reset(this.stmtPtr);
+        throw error;
+    }
+
+    /**
+     * Read one column of the current row, decoded by its storage class:
+     * INTEGER as a number (BigInt outside the safe range), REAL as a number,
+     * TEXT as a string, BLOB as a Uint8Array and NULL as null
+     */
+    readColumn(i) {
+        const module = this.module;
+        const stmtPtr = this.stmtPtr;
+
+        if (this.stringValues) {
+            const valuePtr = module._sqlite3_column_text(stmtPtr, i);
+            return valuePtr ? module.UTF8ToString(valuePtr) : null;
+        }
+
+        switch (module._sqlite3_column_type(stmtPtr, i)) {
+            case SQLITE_INTEGER:
+                return int64ToJS(module._sqlite3_column_int64(stmtPtr, i));
+            case SQLITE_FLOAT:
+                return module._sqlite3_column_double(stmtPtr, i);
+            case SQLITE_TEXT: {
+                const valuePtr = module._sqlite3_column_text(stmtPtr, i);
+                const length = module._sqlite3_column_bytes(stmtPtr, i);
+                return module.UTF8ToString(valuePtr, length);
+            }
+            case SQLITE_BLOB: {
+                const valuePtr = module._sqlite3_column_blob(stmtPtr, i);
+                const length = module._sqlite3_column_bytes(stmtPtr, i);
+                // Copy out of the WASM heap, which is reused by the next step
+                return module.HEAPU8.slice(valuePtr, valuePtr + length);
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Read the current row in the statement's row mode: an object keyed by
+     * column name, an array of column values (raw), the first column's value
+     * (pluck), or objects keyed by column name nested under their origin
+     * table (expand)
+     */
+    readRow() {
+        switch (this.rowMode) {
+            case 'raw': {
+                const values = new Array(this.columnNames.length);
+                for (let i = 0; i < values.length; i++) {
+                    values[i] = this.readColumn(i);
+                }
+                return values;
+            }
+            case 'pluck':
+                return this.readColumn(0);
+            case 'expand': {
+                const row = {};
+                for (let i = 0; i < this.columnNames.length; i++) {
+                    const table = this.columnTables[i];
+                    if (!row[table]) row[table] = {};
+                    row[table][this.columnNames[i]] = this.readColumn(i);
+                }
+                return row;
+            }
+            default: {
+                const row = {};
+                for (let i = 0; i < this.columnNames.length; i++) {
+                    row[this.columnNames[i]] = this.readColumn(i);
+                }
+                return row;
+            }
+        }
+    }
+
+    /**
+     * Return rows as arrays of column values, in column order
+     * @param {boolean} [toggle=true] - false switches back to objects
+     * @returns {Statement} this, for chaining
+     */
+    raw(toggle = true) {
+        return this.setRowMode('raw', toggle);
+    }
+
+    /**
+     * Return only the value of the first column of each row
+     * @param {boolean} [toggle=true] - false switches back to objects
+     * @returns {Statement} this, for chaining
+     */
+    pluck(toggle = true) {
+        return this.setRowMode('pluck', toggle);
+    }
+
+    /**
+     * Return rows as { table: { column: value } }, grouping columns by the table
+     * they are read from, so equally named columns of joined tables do not
+     * overwrite each other. Expressions, which have no table, go under '$'.
+     * @param {boolean} [toggle=true] - false switches back to objects
+     * @returns {Statement} this, for chaining
+     */
+    expand(toggle = true) {
+        return this.setRowMode('expand', toggle);
+    }
+
+    /**
+     * Switch to a row mode, replacing any other; or back to objects if toggle is false
+     */
+    setRowMode(mode, toggle) {
+        this.checkUsable();
+        if (!toggle) {
+            if (this.rowMode === mode) this.rowMode = 'object';
+            return this;
+        }
+        if (this.columnNames.length === 0) {
+            throw new TypeError(`${mode}() is only for statements that return data`);
+        }
+        if (mode === 'expand' && !this.columnTables) {
+            this.columnTables = this.columns().map((column) => (column.table === null ? '$' : column.table));
+        }
+        this.rowMode = mode;
+        return this;
+    }
+
+    /**
+     * Describe the result columns. For a column read directly from a table,
+     * column, table and database give its origin and type its declared type;
+     * for an expression they are null.
+     * @returns {Array<{name: string, column: string|null, table: string|null,
+     *   database: string|null, type: string|null}>}
+     */
+    columns() {
+        this.checkUsable();
+        const module = this.module;
+        const text = (ptr) => (ptr ? module.UTF8ToString(ptr) : null);
+
+        return this.columnNames.map((name, i) => ({
+            name,
+            column: text(module._sqlite3_column_origin_name(this.stmtPtr, i)),
+            table: text(module._sqlite3_column_table_name(this.stmtPtr, i)),
+            database: text(module._sqlite3_column_database_name(this.stmtPtr, i)),
+            type: text(module._sqlite3_column_decltype(this.stmtPtr, i))
+        }));
+    }
+
+    /**
+     * Reset the statement, rebinding only when params are given
+     */
+    start(params) {
+        if (params === undefined) {
+            this.reset();
+        } else {
+            this.bind(params);
+        }
+    }
+
+    /**
+     * Execute and return the first row, or undefined if there is none
+     */
+    get(params) {
+        this.start(params);
+        try {
+            return this.step() ? this.readRow() : undefined;
+        } finally {
+            this.reset();
+        }
+    }
+
+    /**
+     * Execute and return all rows as an array, in the statement's row mode
+     */
+    all(params) {
+        this.start(params);
+        try {
+            const rows = [];
+            while (this.step()) {
+                rows.push(this.readRow());
+            }
+            return rows;
+        } finally {
+            this.reset();
+        }
+    }
+
+    /**
+     * Execute to completion, discarding any rows
+     * @returns {{changes: number, lastInsertRowid: number|bigint}}
+     */
+    run(params) {
+        this.start(params);
+        try {
+            while (this.step()) {
+                // Drain rows so the statement runs to completion
+            }
+            return {
+                changes: this.db.getChanges(),
+                lastInsertRowid: this.db.getLastInsertRowid()
+            };
+        } finally {
+            this.reset();
+        }
+    }
+
+    /**
+     * Execute and yield rows one at a time. Leaving a for...of loop early
+     * resets the statement, which can then be executed again.
+     */
+    *iterate(params) {
+        this.start(params);
+        try {
+            while (this.step()) {
+                yield this.readRow();
+            }
+        } finally {
+            if (!this.finalized) {
+                this.reset();
+            }
+        }
+    }
+
+    /**
+     * Iterate over the rows with the current bindings: for (const row of stmt)
+     */
+    [Symbol.iterator]() {
+        return this.iterate();
+    }
+
+    /**
+     * Reset the statement so it can be executed again (bindings are kept)
+     */
+    reset() {
+        this.checkUsable();
+        this.module._sqlite3_reset(this.stmtPtr);
+        this.db.syncIfCommitted();
+        return this;
+    }
+
+    /**
+     * Set all bound parameters back to NULL
+     */
+    clearBindings() {
+        this.checkUsable();
+        this.module._sqlite3_clear_bindings(this.stmtPtr);
+        return this;
+    }
+
+    /**
+     * Release the statement; it cannot be used afterwards
+     */
+    finalize() {
+        if (this.finalized) return;
+
+        this.module._sqlite3_finalize(this.stmtPtr);
+        this.finalized = true;
+        this.db.statements.delete(this);
+        this.db.syncIfCommitted();
+    }
+}
+
+// Counter for the virtual FS files backing databases opened with openFromBytes()
+let bytesFileCount = 0;
+
+class SQLiteAPI {
+    constructor(module) {
+        this.module = module;
+        // VFS name -> RegisteredVFS, for VFSs implemented in JavaScript
+        this.vfsRegistry = new Map();
+    }
+
+    /**
+     * Register a VFS implemented in JavaScript, see lib/vfs.cjs for the methods it needs
+     * @param {object} vfs - VFS implementation with a unique `name`, e.g. a MemoryVFS
+     * @param {object} [options]
+     * @param {boolean} [options.makeDefault=false] - Use it for databases opened without a vfs option
+     */
+    registerVFS(vfs, options = {}) {
+        if (this.vfsRegistry.has(vfs && vfs.name)) {
+            throw new Error(`VFS ${vfs.name} is already registered`);
+        }
+        const registered = new RegisteredVFS(this.module, vfs);
+        registered.register(Boolean(options.makeDefault));
+        this.vfsRegistry.set(registered.name, registered);
+    }
+
+    /**
+     * Unregister a VFS added with registerVFS(); databases using it must be closed first
+     * @param {string} name - VFS name
+     */
+    unregisterVFS(name) {
+        const registered = this.vfsRegistry.get(name);
+        if (!registered) {
+            throw new Error(`VFS ${name} is not registered`);
+        }
+        registered.unregister();
+        this.vfsRegistry.delete(name);
+    }
+
+    /**
+     * Open a database
+     * @param {string} filename - Database filename (or ':memory:' for in-memory)
+     * @param {string|Uint8Array|object} [options] - Encryption key for SQLCipher, or an options object
+     * @param {string|Uint8Array} [options.key] - Optional encryption key for SQLCipher (see
+     *   SQLiteDatabase#setKey for raw keys); it is verified
+     *   straight away and a WrongKeyError is thrown if it cannot decrypt the database
+     * @param {object} [options.cipher] - SQLCipher settings applied after keying,
+     *   see SQLiteDatabase#applyCipherSettings (e.g. { compatibility: 3 })
+     * @param {boolean} [options.migrate=false] - Upgrade an older SQLCipher database to the
+     *   current format, see SQLiteDatabase#migrateCipher
+     * @param {boolean} [options.stringValues=false] - Return every column as a string
+     * @param {boolean} [options.readonly=false] - Open read-only (SQLITE_OPEN_READONLY)
+     * @param {boolean} [options.create=true] - Create the file if it does not exist; when false
+     *   a missing file fails with SQLITE_CANTOPEN instead of becoming an empty database
+     * @param {boolean} [options.uri] - Interpret filename as a URI such as 'file:app.db?mode=ro';
+     *   defaults to true for filenames starting with 'file:'
+     * @param {boolean} [options.memory=false] - Keep the database in memory (SQLITE_OPEN_MEMORY),
+     *   with filename only naming it, e.g. for a shared-cache URI
+     * @param {string|object} [options.vfs] - Name of the VFS to open the file with, or a
+     *   JavaScript VFS object, which is registered on first use (see registerVFS)
+     * @param {string|object} [options.persistence] - Keep the database in browser storage:
+     *   'indexeddb', 'opfs' (dedicated workers only) or a backend object, see lib/persistence.cjs.
+     *   open() then returns a Promise, as the stored bytes are loaded first.
+     * @returns {SQLiteDatabase|Promise<SQLiteDatabase>}
+     */
+    open(filename = ':memory:', options = null) {
+        // A bare key is accepted in place of the options object
+        if (options === null || typeof options === 'string' || options instanceof Uint8Array) {
+            options = { key: options };
+        }
+        if (options.persistence) {
+            return this.openPersisted(filename, options);
+        }
+        const { key = null, cipher = null, migrate = false, vfs = null } = options;
+        const flags = openFlags(filename, options);
+        if ((cipher || migrate) && !key) {
+            throw new Error('Cipher settings and migration require an encryption key');
+        }
+        if (cipher && migrate) {
+            throw new Error('Cipher settings cannot be combined with migrate; migration uses the current defaults');
+        }
+
+        let vfsName = vfs;
+        if (vfs && typeof vfs === 'object') {
+            const registered = this.vfsRegistry.get(vfs.name);
+            if (!registered) {
+                this.registerVFS(vfs);
+            } else if (registered.vfs !== vfs) {
+                throw new Error(`A different VFS named ${vfs.name} is already registered`);
+            }
+            vfsName = vfs.name;
+        }
+
+        const filenamePtr = this.module.allocateUTF8(filename);
+        const vfsNamePtr = vfsName ? this.module.allocateUTF8(vfsName) : 0;
+        const dbPtrPtr = this.module._malloc(4);
+
+        try {
+            const result = this.module._sqlite3_open_v2(
+                filenamePtr,
+                dbPtrPtr,
+                flags,
+                vfsNamePtr
+            );
+            const dbPtr = this.module.getValue(dbPtrPtr, 'i32');
+
+            if (!dbPtr) {
+                throw new SqliteError('Failed to open database: out of memory', {
+                    errno: SQLITE_NOMEM
+                });
+            }
+
+            if (result !== SQLITE_OK) {
+                // SQLite returns a handle even on failure; it holds the error and must be closed
+                const error = new SQLiteDatabase(this.module, dbPtr)
+                    .createError('Failed to open database');
+                this.module._sqlite3_close(dbPtr);
+                throw error;
+            }
+
+            const db = new SQLiteDatabase(this.module, dbPtr, options);
+            db.vfs = this.vfsRegistry.get(vfsName) || null;
+
+            // Set encryption key if provided, failing fast when it is wrong
+            if (key) {
+                try {
+                    db.setKey(key);
+                    if (cipher) {
+                        db.applyCipherSettings(cipher);
+                    }
+                    if (migrate) {
+                        db.migrateCipher();
+                    }
+                    db.verifyKey();
+                } catch (e) {
+                    db.close();
+                    throw e;
+                }
+            }
+
+            return db;
+        } finally {
+            this.module._free(dbPtrPtr);
+            if (vfsNamePtr) this.module._free(vfsNamePtr);
+            this.module._free(filenamePtr);
+        }
+    }
+
+    /**
+     * Open a database whose file is kept by a persistence backend: the stored
+     * bytes are loaded onto MEMFS, and the file is saved back after each commit
+     */
+    async openPersisted(filename, options) {
+        const { persistence, ...openOptions } = options;
+        if (!filename || filename === ':memory:') {
+            throw new Error('In-memory databases cannot be persisted');
+        }
+        if (openOptions.vfs) {
+            throw new Error('persistence cannot be combined with a vfs');
+        }
+
+        const backend = resolvePersistence(persistence);
+        const FS = this.module.FS;
+        const path = filename.startsWith('/') ? filename : `/${filename}`;
+        const checkUnused = () => {
+            if (FS.analyzePath(path).exists) {
+                throw new Error(`${path} is already in use on the virtual FS`);
+            }
+        };
+        checkUnused();
+
+        const bytes = await backend.load(path);
+        let written = false;
+        let db;
+
+        try {
+            checkUnused();
+            written = true;
+            const directory = path.slice(0, path.lastIndexOf('/'));
+            if (directory) {
+                FS.mkdirTree(directory);
+            }
+            FS.writeFile(path, bytes || new Uint8Array(0));
+            db = this.open(path, openOptions);
+        } catch (e) {
+            if (written) {
+                removeFile(FS, path);
+            }
+            if (backend.close) {
+                await backend.close(path);
+            }
+            throw e;
+        }
+
+        db.ownedFile = path;
+        db.persistence = { backend, name: path };
+        return db;
+    }
+
+    /**
+     * Open a database from its bytes, e.g. as produced by SQLiteDatabase#toBytes.
+     * The bytes are written to a file on the virtual FS that belongs to the
+     * returned database and is removed when it is closed.
+     * @param {Uint8Array|ArrayBuffer} bytes - Database image, encrypted or plaintext
+     * @param {string|Uint8Array|object} [options] - Encryption key, or options as for open()
+     * @returns {SQLiteDatabase}
+     */
+    openFromBytes(bytes, options = null) {
+        if (bytes instanceof ArrayBuffer) {
+            bytes = new Uint8Array(bytes);
+        }
+        if (!(bytes instanceof Uint8Array)) {
+            throw new TypeError('openFromBytes() expects a Uint8Array or ArrayBuffer');
+        }
+
+        const FS = this.module.FS;
+        let path;
+        do {
+            path = `/tmp/sqlite-api-bytes-${++bytesFileCount}.db`;
+        } while (FS.analyzePath(path).exists);
+        FS.writeFile(path, bytes);
+
+        let db;
+        try {
+            db = this.open(path, options);
+        } catch (e) {
+            removeFile(FS, path);
+            throw e;
+        }
+        db.ownedFile = path;
+        return db;
+    }
+
+    /**
+     * Mount a directory of the host filesystem into the virtual FS with NODEFS,
+     * so databases opened below mountPoint are stored on disk (Node.js only)
+     * @param {string} mountPoint - Absolute virtual FS path, created if missing (e.g. '/data')
+     * @param {string} hostDir - Existing host directory, resolved against the current directory
+     */
+    mountHostDirectory(mountPoint, hostDir) {
+        if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+            throw new Error('Host directories can only be mounted in Node.js');
+        }
+        const FS = this.module.FS;
+        const NODEFS = FS.filesystems && FS.filesystems.NODEFS;
+        if (!NODEFS) {
+            throw new Error('NODEFS is not available in this build (link with -lnodefs.js)');
+        }
+        if (typeof mountPoint !== 'string' || !mountPoint.startsWith('/') || mountPoint === '/') {
+            throw new Error(`Mount point must be an absolute path below '/': ${mountPoint}`);
+        }
+
+        const { resolve } = require('path');
+        const { statSync } = require('fs');
+        const root = resolve(hostDir);
+        const stats = statSync(root, { throwIfNoEntry: false });
+        if (!stats || !stats.isDirectory()) {
+            throw new Error(`Host directory does not exist: ${root}`);
+        }
+
+        const existing = FS.analyzePath(mountPoint);
+        if (existing.exists && existing.object.mounted) {
+            throw new Error(`${mountPoint} is already a mount point`);
+        }
+        if (!existing.exists) {
+            FS.mkdirTree(mountPoint);
+        }
+        FS.mount(NODEFS, { root }, mountPoint);
+    }
+
+    /**
+     * Unmount a directory mounted with mountHostDirectory(). Databases below
+     * it should be closed first.
+     * @param {string} mountPoint - Virtual FS path passed to mountHostDirectory()
+     */
+    unmountHostDirectory(mountPoint) {
+        const FS = this.module.FS;
+        const existing = FS.analyzePath(mountPoint);
+        if (!existing.exists || !existing.object.mounted) {
+            throw new Error(`${mountPoint} is not a mount point`);
+        }
+        FS.unmount(mountPoint);
+    }
+
+    /**
+     * Write an encrypted copy of a plaintext database
+     * @param {string} src - Plaintext database file
+     * @param {string} dst - Destination file for the encrypted copy
+     * @param {string|Uint8Array} key - Key for the copy
+     * @param {object} [options]
+     * @param {object} [options.cipher] - SQLCipher settings for the copy
+     */
+    encryptDatabase(src, dst, key, options = {}) {
+        if (!key) {
+            throw new Error('encryptDatabase() requires an encryption key');
+        }
+        const db = this.open(src);
+        try {
+            db.exportTo(dst, { key, cipher: options.cipher });
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Write a plaintext copy of an encrypted database
+     * @param {string} src - Encrypted database file
+     * @param {string} dst - Destination file for the plaintext copy
+     * @param {string|Uint8Array} key - Key of the source database
+     * @param {object} [options]
+     * @param {object} [options.cipher] - SQLCipher settings the source was written with
+     */
+    decryptDatabase(src, dst, key, options = {}) {
+        if (!key) {
+            throw new Error('decryptDatabase() requires the encryption key');
+        }
+        const db = this.open(src, { key, cipher: options.cipher });
+        try {
+            db.exportTo(dst);
+        } finally {
+            db.close();
+        }
+    }
+}
+
+/**
+ * Wait for an Emscripten module to finish loading. Accepts the Module object of
+ * a default build, the factory function of a MODULARIZE or EXPORT_ES6 build
+ * (or an ES module namespace whose default export is either), or a promise of any
+ * of these.
+ * @returns {Promise<object>} The initialized Module
+ */
+async function readyModule(wasmModule) {
+    wasmModule = await wasmModule;
+    if (wasmModule && wasmModule[Symbol.toStringTag] === 'Module') {
+        // Namespace from import(): EXPORT_ES6 factories and CommonJS builds are the default export
+        wasmModule = wasmModule.default;
+    }
+    if (typeof wasmModule === 'function') {
+        // OpenSSL is initialized automatically by SQLCipher
+        return wasmModule();
+    }
+    if (!wasmModule || typeof wasmModule !== 'object') {
+        throw new TypeError('Expected an Emscripten module or module factory');
+    }
+    if (wasmModule.calledRun) {
+        return wasmModule;
+    }
+    return new Promise((resolve) => {
+        wasmModule.onRuntimeInitialized = () => resolve(wasmModule);
+    });
+}
+
+/**
+ * Initialize the SQLite API from a WASM module
+ * @param {string|object|Function} [source='../dist/sqlcipher.js'] - Path to the Emscripten
+ *   module, resolved by require() relative to this file; or the module itself, or its
+ *   MODULARIZE factory (see readyModule)
+ * @param {object} [options]
+ * @param {object} [options.mounts] - Host directories to mount, keyed by virtual FS path,
+ *   e.g. { '/data': './var/db' }; see SQLiteAPI#mountHostDirectory
+ */
+async function initSQLite(source = '../dist/sqlcipher.js', options = {}) {
+    const wasmModule = await readyModule(typeof source === 'string' ? require(source) : source);
+    const { mounts = {} } = options;
+
+    const sqlite = new SQLiteAPI(wasmModule);
+    for (const [mountPoint, hostDir] of Object.entries(mounts)) {
+        sqlite.mountHostDirectory(mountPoint, hostDir);
+    }
+    return sqlite;
 }
 
-module.exports = { initSQLite, SQLiteAPI, SQLiteDatabase };
+module.exports = {
+    initSQLite,
+    SQLiteAPI,
+    SQLiteDatabase,
+    Statement,
+    SqliteError,
+    WrongKeyError,
+    IndexedDBPersistence,
+    OPFSPersistence,
+    MemoryVFS
+};
@@ -0,0 +1,417 @@
+/**
+ * Type declarations for lib/sqlite-api.cjs (and the ES module entry points,
+ * lib/sqlite-api.mjs and dist/sqlite-api.mjs, which export the same API)
+ */
+
+/** A value read from the database: INTEGER, REAL, TEXT, BLOB or NULL */
+export type SQLiteValue = number | bigint | string | Uint8Array | null;
+
+/**
+ * A value that can be bound to a parameter or returned from a user-defined
+ * function. Booleans become 0/1, undefined becomes NULL, and ArrayBuffers and
+ * their views are stored as blobs.
+ */
+export type BindValue = SQLiteValue | boolean | undefined | ArrayBuffer | ArrayBufferView;
+
+/**
+ * Positional values, or values keyed by parameter name (with or without its
+ * ':', '@' or '$' prefix)
+ */
+export type BindParameters = readonly BindValue[] | { readonly [name: string]: BindValue };
+
+/** A result row in the default row mode, keyed by column name */
+export type Row = { [column: string]: SQLiteValue };
+
+/** A result row in expand() mode: columns grouped by table, expressions under '$' */
+export type ExpandedRow = { [table: string]: Row };
+
+/**
+ * A passphrase, or raw key material: 32 bytes of key, or 48 bytes of key
+ * followed by the 16-byte database salt
+ */
+export type EncryptionKey = string | Uint8Array;
+
+export type HmacAlgorithm = 'HMAC_SHA1' | 'HMAC_SHA256' | 'HMAC_SHA512';
+
+export type KdfAlgorithm = 'PBKDF2_HMAC_SHA1' | 'PBKDF2_HMAC_SHA256' | 'PBKDF2_HMAC_SHA512';
+
+/** SQLCipher settings, see SQLiteDatabase#applyCipherSettings */
+export interface CipherSettings {
+    /** SQLCipher major version defaults to use; applied before the other settings */
+    compatibility?: 1 | 2 | 3 | 4;
+    /** Page size in bytes (power of two, 512-65536) */
+    pageSize?: number;
+    /** PBKDF2 iteration count */
+    kdfIter?: number;
+    hmacAlgorithm?: HmacAlgorithm;
+    kdfAlgorithm?: KdfAlgorithm;
+    /** Bytes of the header left unencrypted (0 or a multiple of 16 up to 100) */
+    plaintextHeaderSize?: number;
+}
+
+/** Cipher settings in effect on a connection, see SQLiteDatabase#getCipherSettings */
+export interface CipherSettingsInfo {
+    version: string;
+    pageSize: number;
+    kdfIter: number;
+    hmacAlgorithm: HmacAlgorithm;
+    kdfAlgorithm: KdfAlgorithm;
+    plaintextHeaderSize: number;
+}
+
+export interface ExportOptions {
+    /** Key for the destination; omit it, or pass null or '', to write a plaintext database */
+    key?: EncryptionKey | null;
+    /** SQLCipher settings for the destination; require a key */
+    cipher?: CipherSettings;
+}
+
+/** Result of SQLiteDatabase#exec and Statement#run */
+export interface RunResult {
+    changes: number;
+    lastInsertRowid: number | bigint;
+}
+
+export interface StatementOptions {
+    /** Override the database's string decoding setting */
+    stringValues?: boolean;
+    /** Return rows as arrays of column values instead of objects */
+    raw?: boolean;
+}
+
+/** A result column, see Statement#columns. Origins are null for expressions. */
+export interface ColumnDescription {
+    name: string;
+    column: string | null;
+    table: string | null;
+    database: string | null;
+    /** Declared type */
+    type: string | null;
+}
+
+export interface FunctionOptions {
+    /** Same result for the same arguments, which lets SQLite use it in indexes */
+    deterministic?: boolean;
+    /** Accept any number of arguments */
+    varargs?: boolean;
+    /**
+     * Number of arguments, when fn.length does not give it: it is 0 for (...args)
+     * and stops at the first default parameter
+     */
+    argCount?: number;
+    /** Only callable from top-level SQL, not from triggers, views or schema structures */
+    directOnly?: boolean;
+}
+
+export interface AggregateOptions<A = any> extends FunctionOptions {
+    /**
+     * Initial accumulator, or a function returning a fresh one for each group
+     * (use this for mutable values such as arrays). Defaults to null.
+     */
+    start?: A | (() => A);
+    /** Adds a row to the accumulator; returning undefined keeps acc */
+    step(acc: A, ...args: SQLiteValue[]): A | void;
+    /** Removes a row from the accumulator, making the function usable as a window function */
+    inverse?(acc: A, ...args: SQLiteValue[]): A | void;
+    /** Maps the accumulator to the SQL result; defaults to the accumulator itself */
+    result?(acc: A): BindValue;
+}
+
+/**
+ * A function wrapped by SQLiteDatabase#transaction. Calling it runs fn in a
+ * transaction (BEGIN, or a SAVEPOINT when one is already open).
+ */
+export interface Transaction<F extends (...args: any[]) => any> {
+    (...args: Parameters<F>): ReturnType<F>;
+    deferred: Transaction<F>;
+    immediate: Transaction<F>;
+    exclusive: Transaction<F>;
+}
+
+/**
+ * Storage for a database file kept outside the virtual FS, see lib/persistence.cjs
+ */
+export interface PersistenceBackend {
+    /** Stored bytes, or null for a new database */
+    load(name: string): Promise<Uint8Array | null>;
+    /** Replace the stored bytes */
+    save(name: string, bytes: Uint8Array): Promise<void> | void;
+    /** Called when the database closes */
+    close?(name: string): Promise<void> | void;
+}
+
+export type PersistenceOption = 'indexeddb' | 'opfs' | PersistenceBackend;
+
+/**
+ * The part of IDBFactory used by IndexedDBPersistence, so that these
+ * declarations do not depend on the DOM library
+ */
+export interface IndexedDBFactory {
+    open(name: string, version?: number): object;
+}
+
+/**
+ * A file opened by a JavaScript VFS, see lib/vfs.cjs. Buffers are views of
+ * WASM memory, valid only during the call; methods are synchronous.
+ */
+export interface VFSFile {
+    /** Returns the number of bytes read; fewer than buffer.length means end of file */
+    xRead(buffer: Uint8Array, offset: number): number;
+    xWrite(buffer: Uint8Array, offset: number): void;
+    xTruncate(size: number): void;
+    xFileSize(): number;
+    xSync?(flags: number): void;
+    xLock?(level: number): void;
+    xUnlock?(level: number): void;
+    xCheckReservedLock?(): boolean;
+    xClose?(): void;
+}
+
+/** A VFS implemented in JavaScript, see SQLiteAPI#registerVFS */
+export interface VFS {
+    name: string;
+    /** name is null for anonymous temporary files */
+    xOpen(name: string | null, flags: number): VFSFile;
+    xDelete?(name: string): void;
+    xAccess?(name: string, flags: number): boolean;
+}
+
+export interface OpenOptions {
+    /** Encryption key; verified straight away, throwing WrongKeyError if it is wrong */
+    key?: EncryptionKey | null;
+    /** SQLCipher settings applied after keying */
+    cipher?: CipherSettings | null;
+    /** Upgrade an older SQLCipher database to the current format */
+    migrate?: boolean;
+    /** Return every column as a string */
+    stringValues?: boolean;
+    readonly?: boolean;
+    /** Create the file if it does not exist (default true unless readonly) */
+    create?: boolean;
+    /** Interpret filename as a URI; defaults to true for filenames starting with 'file:' */
+    uri?: boolean;
+    /** Keep the database in memory, with filename only naming it */
+    memory?: boolean;
+    /** Name of a VFS, or a JavaScript VFS, which is registered on first use */
+    vfs?: string | VFS | null;
+    /** Keep the database in browser storage; open() then returns a Promise */
+    persistence?: PersistenceOption | null;
+}
+
+export interface PersistedOpenOptions extends OpenOptions {
+    persistence: PersistenceOption;
+}
+
+export interface InitOptions {
+    /** Host directories to mount, keyed by virtual FS path, e.g. { '/data': './var/db' } */
+    mounts?: { [mountPoint: string]: string };
+}
+
+/**
+ * An Emscripten module, the factory of a MODULARIZE or EXPORT_ES6 build,
+ * an ES module namespace with either as its default export, or a promise of these.
+ * The ES module entry points also accept a URL of the module to import().
+ */
+export type ModuleSource = object | ((...args: any[]) => unknown) | Promise<unknown>;
+
+/** Error raised for a failed SQLite call */
+export declare class SqliteError extends Error {
+    constructor(message: string, details: { errno: number; extendedErrno?: number; sql?: string | null });
+    /** Primary result code (e.g. 19 for SQLITE_CONSTRAINT) */
+    errno: number;
+    /** Extended result code (e.g. 2067) */
+    extendedErrno: number;
+    /** Name of the result code, e.g. 'SQLITE_CONSTRAINT_UNIQUE' */
+    code: string;
+    /** SQL text being executed, if any */
+    sql: string | null;
+}
+
+/** Error raised when a database cannot be decrypted with the supplied key */
+export declare class WrongKeyError extends SqliteError {
+    constructor(message?: string, details?: { sql?: string | null });
+}
+
+/**
+ * A prepared statement. T is the row type in the current row mode; the mode
+ * methods return the statement retyped for the new mode.
+ */
+export declare class Statement<T = Row> implements Iterable<T> {
+    /** Statements are created by SQLiteDatabase#prepare */
+    constructor(db: SQLiteDatabase, stmtPtr: number, sql: string, options?: StatementOptions);
+    readonly db: SQLiteDatabase;
+    readonly sql: string;
+    readonly finalized: boolean;
+    readonly columnNames: string[];
+
+    /** Bind parameters, replacing any previous bindings */
+    bind(params?: BindParameters): this;
+    /** Advance to the next result row; false when done */
+    step(): boolean;
+    /** Read the current row */
+    readRow(): T;
+    /** Execute and return the first row, or undefined if there is none */
+    get(params?: BindParameters): T | undefined;
+    /** Execute and return all rows */
+    all(params?: BindParameters): T[];
+    /** Execute to completion, discarding any rows */
+    run(params?: BindParameters): RunResult;
+    /** Execute and yield rows one at a time; leaving early resets the statement */
+    iterate(params?: BindParameters): Generator<T, void, undefined>;
+    [Symbol.iterator](): Generator<T, void, undefined>;
+    /** Reset the statement so it can be executed again (bindings are kept) */
+    reset(): this;
+    /** Set all bound parameters back to NULL */
+    clearBindings(): this;
+    /** Release the statement; it cannot be used afterwards */
+    finalize(): void;
+
+    /** Return rows as arrays of column values */
+    raw<R extends unknown[] = SQLiteValue[]>(toggle?: true): Statement<R>;
+    raw(toggle: false): Statement<Row>;
+    /** Return only the value of the first column of each row */
+    pluck<V = SQLiteValue>(toggle?: true): Statement<V>;
+    pluck(toggle: false): Statement<Row>;
+    /** Return rows grouped by the table each column is read from */
+    expand<R = ExpandedRow>(toggle?: true): Statement<R>;
+    expand(toggle: false): Statement<Row>;
+    /** Describe the result columns */
+    columns(): ColumnDescription[];
+}
+
+export declare class SQLiteDatabase {
+    /** Databases are opened by SQLiteAPI#open */
+    constructor(module: object, dbPtr: number, options?: { stringValues?: boolean });
+    readonly closed: boolean;
+    /** Whether a transaction is currently open on this connection */
+    readonly inTransaction: boolean;
+
+    /** Set the encryption key; must be called right after opening */
+    setKey(key: EncryptionKey): void;
+    /** Apply SQLCipher settings after setKey() and before the first read */
+    applyCipherSettings(cipher: CipherSettings, schema?: string | null): void;
+    /** Upgrade a database written by SQLCipher 1-3 in place; returns SQLITE_OK (0) */
+    migrateCipher(): number;
+    getCipherSettings(): CipherSettingsInfo;
+    /** Throws WrongKeyError if the key cannot decrypt the database */
+    verifyKey(): void;
+    rekey(newKey: EncryptionKey): void;
+    /** Copy the database into a new file, encrypting, decrypting or re-encrypting it */
+    exportTo(path: string, options?: EncryptionKey | ExportOptions | null): void;
+    /** Read the database into a Uint8Array, encrypted if the database is */
+    toBytes(): Uint8Array;
+    /** Wait until every committed change of a persisted database has been stored */
+    sync(): Promise<void>;
+
+    /** Execute one or more SQL statements without returning results */
+    exec(sql: string, params?: BindParameters): RunResult;
+    /** Prepare a SQL statement for repeated execution */
+    prepare<T = Row>(sql: string, options?: StatementOptions & { raw?: false }): Statement<T>;
+    prepare<T extends unknown[] = SQLiteValue[]>(sql: string, options: StatementOptions & { raw: true }): Statement<T>;
+    prepare(sql: string, options?: StatementOptions): Statement<Row | SQLiteValue[]>;
+    /** Execute a SQL query and return all rows */
+    query<T = Row>(sql: string, params?: BindParameters, options?: StatementOptions & { raw?: false }): T[];
+    query<T extends unknown[] = SQLiteValue[]>(
+        sql: string, params: BindParameters | undefined, options: StatementOptions & { raw: true }
+    ): T[];
+    query(sql: string, params?: BindParameters, options?: StatementOptions): Array<Row | SQLiteValue[]>;
+    /** Execute a SQL query and step through its rows lazily; the statement is prepared when iteration starts */
+    iterate<T = Row>(
+        sql: string, params?: BindParameters, options?: StatementOptions & { raw?: false }
+    ): Generator<T, void, undefined>;
+    iterate<T extends unknown[] = SQLiteValue[]>(
+        sql: string, params: BindParameters | undefined, options: StatementOptions & { raw: true }
+    ): Generator<T, void, undefined>;
+    iterate(sql: string, params?: BindParameters, options?: StatementOptions): Generator<Row | SQLiteValue[], void, undefined>;
+
+    /** Register a scalar SQL function implemented in JavaScript */
+    function(name: string, fn: (...args: any[]) => BindValue): this;
+    function(name: string, options: FunctionOptions, fn: (...args: any[]) => BindValue): this;
+    /** Register an aggregate (or, with inverse, aggregate window) SQL function */
+    aggregate<A = any>(name: string, options: AggregateOptions<A>): this;
+    /** Register a collating sequence implemented in JavaScript */
+    collation(name: string, compare: (a: string, b: string) => number): this;
+    /** Wrap a synchronous function so that it runs inside a transaction */
+    transaction<F extends (...args: any[]) => any>(fn: F): Transaction<F>;
+
+    /** Rows affected by the last INSERT, UPDATE or DELETE */
+    getChanges(): number;
+    /** Rowid of the most recent successful INSERT */
+    getLastInsertRowid(): number | bigint;
+    /**
+     * Close the database, finalizing any statements still open. For persisted
+     * databases, returns a promise that settles once pending saves have finished.
+     */
+    close(): Promise<void> | undefined;
+}
+
+export declare class SQLiteAPI {
+    constructor(module: object);
+    /** The initialized Emscripten module */
+    readonly module: any;
+
+    /** Register a VFS implemented in JavaScript */
+    registerVFS(vfs: VFS, options?: { makeDefault?: boolean }): void;
+    /** Unregister a VFS added with registerVFS() */
+    unregisterVFS(name: string): void;
+    /**
+     * Open a database; ':memory:' when filename is omitted. A bare key may be
+     * passed in place of the options. With a persistence backend, resolves once
+     * the stored bytes have been loaded.
+     */
+    open(filename?: string, options?: EncryptionKey | (OpenOptions & { persistence?: null }) | null): SQLiteDatabase;
+    open(filename: string, options: PersistedOpenOptions): Promise<SQLiteDatabase>;
+    open(filename?: string, options?: EncryptionKey | OpenOptions | null): SQLiteDatabase | Promise<SQLiteDatabase>;
+    /** Open a copy of a database image, e.g. from SQLiteDatabase#toBytes */
+    openFromBytes(
+        bytes: Uint8Array | ArrayBuffer,
+        options?: EncryptionKey | (OpenOptions & { persistence?: null }) | null
+    ): SQLiteDatabase;
+    /** Mount a host directory into the virtual FS with NODEFS (Node.js only) */
+    mountHostDirectory(mountPoint: string, hostDir: string): void;
+    unmountHostDirectory(mountPoint: string): void;
+    /** Write an encrypted copy of a plaintext database */
+    encryptDatabase(src: string, dst: string, key: EncryptionKey, options?: { cipher?: CipherSettings }): void;
+    /** Write a plaintext copy of an encrypted database */
+    decryptDatabase(src: string, dst: string, key: EncryptionKey, options?: { cipher?: CipherSettings }): void;
+}
+
+/** Stores each database as a single value in an IndexedDB object store */
+export declare class IndexedDBPersistence implements PersistenceBackend {
+    constructor(options?: { indexedDB?: IndexedDBFactory; databaseName?: string; storeName?: string });
+    readonly databaseName: string;
+    readonly storeName: string;
+    load(name: string): Promise<Uint8Array | null>;
+    save(name: string, bytes: Uint8Array): Promise<void>;
+    /** Remove a stored database */
+    delete(name: string): Promise<void>;
+    close(name: string): Promise<void>;
+}
+
+/** Stores each database as a file in the Origin Private File System (dedicated workers only) */
+export declare class OPFSPersistence implements PersistenceBackend {
+    /** getDirectory resolves to a FileSystemDirectoryHandle; defaults to navigator.storage.getDirectory() */
+    constructor(options?: { getDirectory?: () => Promise<object> });
+    load(name: string): Promise<Uint8Array | null>;
+    save(name: string, bytes: Uint8Array): void;
+    close(name: string): void;
+}
+
+/** Reference VFS keeping every file as a Uint8Array in memory */
+export declare class MemoryVFS implements VFS {
+    constructor(name?: string);
+    name: string;
+    xOpen(name: string | null, flags: number): VFSFile;
+    xDelete(name: string): void;
+    xAccess(name: string): boolean;
+    /** Contents of a stored file, or null */
+    getFile(name: string): Uint8Array | null;
+}
+
+/**
+ * Initialize the SQLite API. In CommonJS, a string source is a path resolved
+ * by require() relative to lib/; the ES module entry points also accept
+ * absolute paths and URLs, loaded with import(). Defaults to dist/sqlcipher.js,
+ * or to its EXPORT_ES6 build, dist/sqlcipher-es6.mjs, in the browser bundle.
+ */
+export declare function initSQLite(source?: string | ModuleSource, options?: InitOptions): Promise<SQLiteAPI>;
@@ -0,0 +1,38 @@
+/**
+ * ES module entry point for Node.js
+ *
+ * Re-exports the CommonJS API, so that classes are the same whether the
+ * package is imported or required. initSQLite() loads the Emscripten module
+ * with import(), which also accepts EXPORT_ES6 builds.
+ */
+
+import { isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import api from './sqlite-api.cjs';
+
+export const {
+    SQLiteAPI,
+    SQLiteDatabase,
+    Statement,
+    SqliteError,
+    WrongKeyError,
+    IndexedDBPersistence,
+    OPFSPersistence,
+    MemoryVFS
+} = api;
+
+/**
+ * Initialize the SQLite API from a WASM module
+ * @param {string|URL|object|Function} [source] - Absolute path or URL of the Emscripten
+ *   module (defaults to dist/sqlcipher.js), or the module or its factory itself
+ * @param {object} [options] - See initSQLite() in sqlite-api.cjs
+ */
+export async function initSQLite(source = new URL('../dist/sqlcipher.js', import.meta.url), options) {
+    if (typeof source === 'string' && isAbsolute(source)) {
+        source = pathToFileURL(source);
+    }
+    if (typeof source === 'string' || source instanceof URL) {
+        source = await import(source.toString());
+    }
+    return api.initSQLite(source, options);
+}
@@ -0,0 +1,469 @@
+/**
+ * JavaScript-implemented SQLite VFS (virtual file system) support
+ *
+ * A VFS object has a `name` and these methods, mirroring sqlite3_vfs:
+ *   xOpen(name, flags)   -> file object; name is null for anonymous temp files
+ *   xDelete(name)        optional
+ *   xAccess(name, flags) -> boolean, optional (defaults to false)
+ *
+ * File objects returned by xOpen mirror sqlite3_io_methods:
+ *   xRead(buffer, offset)   -> bytes read; fewer than buffer.length means end of file
+ *   xWrite(buffer, offset)
+ *   xTruncate(size)
+ *   xFileSize()             -> size in bytes
+ *   xSync(flags), xLock(level), xUnlock(level), xCheckReservedLock() -> boolean,
+ *   xClose()                optional
+ *
+ * Buffers are Uint8Array views of WASM memory, valid only during the call.
+ * Methods are synchronous. An exception becomes an SQLITE_IOERR_* result code,
+ * or the error's `extendedErrno` when it has one (e.g. a SqliteError).
+ * Randomness, sleeping and the clock are taken from the default VFS.
+ */
+
+const SQLITE_OK = 0;
+const SQLITE_IOERR = 10;
+const SQLITE_NOTFOUND = 12;
+const SQLITE_CANTOPEN = 14;
+const SQLITE_IOERR_READ = 266;
+const SQLITE_IOERR_SHORT_READ = 522;
+const SQLITE_IOERR_WRITE = 778;
+const SQLITE_IOERR_FSYNC = 1034;
+const SQLITE_IOERR_TRUNCATE = 1546;
+const SQLITE_IOERR_FSTAT = 1802;
+const SQLITE_IOERR_UNLOCK = 2058;
+const SQLITE_IOERR_DELETE = 2570;
+const SQLITE_IOERR_ACCESS = 3338;
+const SQLITE_IOERR_CHECKRESERVEDLOCK = 3594;
+const SQLITE_IOERR_LOCK = 3850;
+const SQLITE_IOERR_CLOSE = 4106;
+
+const SQLITE_OPEN_CREATE = 0x04;
+const SQLITE_OPEN_DELETEONCLOSE = 0x08;
+
+// wasm32 layouts of struct sqlite3_vfs (version 2) and sqlite3_io_methods (version 1)
+const VFS_STRUCT_SIZE = 76;
+const VFS_VERSION = 2;
+const VFS_OFFSETS = {
+    iVersion: 0,
+    szOsFile: 4,
+    mxPathname: 8,
+    pNext: 12,
+    zName: 16,
+    pAppData: 20,
+    xOpen: 24,
+    xDelete: 28,
+    xAccess: 32,
+    xFullPathname: 36
+};
+const IO_METHODS_SIZE = 52;
+const IO_METHODS = [
+    // [name, byte offset, wasm signature]
+    ['xClose', 4, 'ii'],
+    ['xRead', 8, 'iiiij'],
+    ['xWrite', 12, 'iiiij'],
+    ['xTruncate', 16, 'iij'],
+    ['xSync', 20, 'iii'],
+    ['xFileSize', 24, 'iii'],
+    ['xLock', 28, 'iii'],
+    ['xUnlock', 32, 'iii'],
+    ['xCheckReservedLock', 36, 'iii'],
+    ['xFileControl', 40, 'iiii'],
+    ['xSectorSize', 44, 'ii'],
+    ['xDeviceCharacteristics', 48, 'ii']
+];
+// sqlite3_file holds only its pMethods pointer; JS state is looked up by address
+const FILE_STRUCT_SIZE = 8;
+const MAX_PATHNAME = 512;
+const SECTOR_SIZE = 4096;
+
+/**
+ * Result code for an exception thrown by a VFS method
+ */
+function errorCode(error, fallback) {
+    return error && Number.isInteger(error.extendedErrno) ? error.extendedErrno : fallback;
+}
+
+/**
+ * Write a non-negative 64-bit integer as two 32-bit words
+ */
+function writeInt64(module, ptr, value) {
+    module.setValue(ptr, value % 0x100000000, 'i32');
+    module.setValue(ptr + 4, Math.floor(value / 0x100000000), 'i32');
+}
+
+/**
+ * A JS VFS object registered with SQLite: owns the C structs and the
+ * function-table entries that forward SQLite's calls to it
+ */
+class RegisteredVFS {
+    /**
+     * @param {object} module - Initialized WASM module
+     * @param {object} vfs - VFS implementation, see the top of this file
+     */
+    constructor(module, vfs) {
+        if (!vfs || typeof vfs.name !== 'string' || !vfs.name) {
+            throw new TypeError('A VFS needs a non-empty name');
+        }
+        if (typeof vfs.xOpen !== 'function') {
+            throw new TypeError(`VFS ${vfs.name} does not implement xOpen()`);
+        }
+
+        this.module = module;
+        this.vfs = vfs;
+        this.name = vfs.name;
+        this.files = new Map();
+        this.functionPtrs = [];
+        this.tempFileCount = 0;
+        this.vfsPtr = 0;
+        this.ioMethodsPtr = 0;
+        this.namePtr = 0;
+    }
+
+    /**
+     * Build the sqlite3_vfs and sqlite3_io_methods structs and register the VFS
+     * @param {boolean} makeDefault - Use this VFS for databases opened without one
+     */
+    register(makeDefault) {
+        const module = this.module;
+        const defaultVfs = module._sqlite3_vfs_find(0);
+        if (!defaultVfs) {
+            throw new Error('No default VFS to take randomness and time functions from');
+        }
+
+        try {
+            this.namePtr = module.allocateUTF8(this.name);
+            this.vfsPtr = module._malloc(VFS_STRUCT_SIZE);
+            this.ioMethodsPtr = module._malloc(IO_METHODS_SIZE);
+
+            // Start from the default VFS so xRandomness, xSleep, xCurrentTime and
+            // friends keep working, then replace the file operations
+            module.HEAPU8.copyWithin(this.vfsPtr, defaultVfs, defaultVfs + VFS_STRUCT_SIZE);
+            module.setValue(this.vfsPtr + VFS_OFFSETS.iVersion, VFS_VERSION, 'i32');
+            module.setValue(this.vfsPtr + VFS_OFFSETS.szOsFile, FILE_STRUCT_SIZE, 'i32');
+            module.setValue(this.vfsPtr + VFS_OFFSETS.mxPathname, MAX_PATHNAME, 'i32');
+            module.setValue(this.vfsPtr + VFS_OFFSETS.pNext, 0, 'i32');
+            module.setValue(this.vfsPtr + VFS_OFFSETS.zName, this.namePtr, 'i32');
+            module.setValue(this.vfsPtr + VFS_OFFSETS.pAppData, 0, 'i32');
+            this.setFunction(this.vfsPtr + VFS_OFFSETS.xOpen, 'iiiiii', this.xOpen);
+            this.setFunction(this.vfsPtr + VFS_OFFSETS.xDelete, 'iiii', this.xDelete);
+            this.setFunction(this.vfsPtr + VFS_OFFSETS.xAccess, 'iiiii', this.xAccess);
+            this.setFunction(this.vfsPtr + VFS_OFFSETS.xFullPathname, 'iiiii', this.xFullPathname);
+
+            module.setValue(this.ioMethodsPtr, 1, 'i32');
+            for (const [name, offset, signature] of IO_METHODS) {
+                this.setFunction(this.ioMethodsPtr + offset, signature, this[name]);
+            }
+
+            const result = module._sqlite3_vfs_register(this.vfsPtr, makeDefault ? 1 : 0);
+            if (result !== SQLITE_OK) {
+                throw new Error(`Failed to register VFS ${this.name} (result code ${result})`);
+            }
+        } catch (e) {
+            this.release();
+            throw e;
+        }
+    }
+
+    /**
+     * Unregister the VFS and free its structs. Every database using it must be closed.
+     */
+    unregister() {
+        if (this.files.size > 0) {
+            throw new Error(`VFS ${this.name} still has ${this.files.size} open file(s)`);
+        }
+        this.module._sqlite3_vfs_unregister(this.vfsPtr);
+        this.release();
+    }
+
+    release() {
+        for (const ptr of this.functionPtrs) {
+            this.module.removeFunction(ptr);
+        }
+        this.functionPtrs = [];
+        for (const ptr of [this.ioMethodsPtr, this.vfsPtr, this.namePtr]) {
+            if (ptr) this.module._free(ptr);
+        }
+        this.ioMethodsPtr = this.vfsPtr = this.namePtr = 0;
+    }
+
+    /**
+     * Add a method to the WASM function table and store its pointer in a struct slot
+     */
+    setFunction(slotPtr, signature, method) {
+        const functionPtr = this.module.addFunction(method.bind(this), signature);
+        this.functionPtrs.push(functionPtr);
+        this.module.setValue(slotPtr, functionPtr, 'i32');
+    }
+
+    /**
+     * Read a whole file through the VFS, e.g. for SQLiteDatabase#toBytes
+     * @param {string} name - File name as passed to xOpen
+     * @returns {Uint8Array}
+     */
+    readFile(name) {
+        const file = this.vfs.xOpen(name, 0x01 | 0x100); // SQLITE_OPEN_READONLY | SQLITE_OPEN_MAIN_DB
+        try {
+            const bytes = new Uint8Array(file.xFileSize());
+            const read = file.xRead(bytes, 0);
+            if (read !== bytes.length) {
+                throw new Error(`Short read from ${name}`);
+            }
+            return bytes;
+        } finally {
+            if (file.xClose) file.xClose();
+        }
+    }
+
+    // sqlite3_vfs methods
+
+    xOpen(vfsPtr, zName, filePtr, flags, pOutFlags) {
+        const module = this.module;
+        // pMethods must stay NULL unless the open succeeds
+        module.setValue(filePtr, 0, 'i32');
+
+        const name = zName ? module.UTF8ToString(zName) : `${this.name}-temp-${++this.tempFileCount}`;
+        try {
+            const file = this.vfs.xOpen(zName ? name : null, flags);
+            if (!file) {
+                return SQLITE_CANTOPEN;
+            }
+            this.files.set(filePtr, { file, name, flags });
+        } catch (e) {
+            return errorCode(e, SQLITE_CANTOPEN);
+        }
+
+        module.setValue(filePtr, this.ioMethodsPtr, 'i32');
+        if (pOutFlags) {
+            module.setValue(pOutFlags, flags, 'i32');
+        }
+        return SQLITE_OK;
+    }
+
+    xDelete(vfsPtr, zName, syncDir) {
+        try {
+            if (this.vfs.xDelete) this.vfs.xDelete(this.module.UTF8ToString(zName), syncDir);
+            return SQLITE_OK;
+        } catch (e) {
+            return errorCode(e, SQLITE_IOERR_DELETE);
+        }
+    }
+
+    xAccess(vfsPtr, zName, flags, pResOut) {
+        try {
+            const exists = this.vfs.xAccess ? this.vfs.xAccess(this.module.UTF8ToString(zName), flags) : false;
+            this.module.setValue(pResOut, exists ? 1 : 0, 'i32');
+            return SQLITE_OK;
+        } catch (e) {
+            return errorCode(e, SQLITE_IOERR_ACCESS);
+        }
+    }
+
+    xFullPathname(vfsPtr, zName, nOut, zOut) {
+        // Names are used as given; the VFS decides what they mean
+        const module = this.module;
+        const name = module.UTF8ToString(zName);
+        if (module.lengthBytesUTF8(name) + 1 > nOut) {
+            return SQLITE_CANTOPEN;
+        }
+        module.stringToUTF8(name, zOut, nOut);
+        return SQLITE_OK;
+    }
+
+    // sqlite3_io_methods
+
+    /**
+     * Call a file method, mapping exceptions to a result code
+     */
+    withFile(filePtr, fallback, fn) {
+        const entry = this.files.get(filePtr);
+        if (!entry) {
+            return fallback;
+        }
+        try {
+            const result = fn(entry.file, entry);
+            return Number.isInteger(result) ? result : SQLITE_OK;
+        } catch (e) {
+            return errorCode(e, fallback);
+        }
+    }
+
+    xClose(filePtr) {
+        const result = this.withFile(filePtr, SQLITE_IOERR_CLOSE, (file, entry) => {
+            if (file.xClose) file.xClose();
+            if (entry.flags & SQLITE_OPEN_DELETEONCLOSE && this.vfs.xDelete) {
+                this.vfs.xDelete(entry.name, 0);
+            }
+        });
+        this.files.delete(filePtr);
+        return result;
+    }
+
+    xRead(filePtr, bufferPtr, amount, offset) {
+        return this.withFile(filePtr, SQLITE_IOERR_READ, (file) => {
+            const buffer = this.module.HEAPU8.subarray(bufferPtr, bufferPtr + amount);
+            const read = file.xRead(buffer, Number(offset));
+            if (read < amount) {
+                // SQLite requires the unread tail to be zero-filled
+                buffer.fill(0, read);
+                return SQLITE_IOERR_SHORT_READ;
+            }
+            return SQLITE_OK;
+        });
+    }
+
+    xWrite(filePtr, bufferPtr, amount, offset) {
+        return this.withFile(filePtr, SQLITE_IOERR_WRITE, (file) => {
+            file.xWrite(this.module.HEAPU8.subarray(bufferPtr, bufferPtr + amount), Number(offset));
+            return SQLITE_OK;
+        });
+    }
+
+    xTruncate(filePtr, size) {
+        return this.withFile(filePtr, SQLITE_IOERR_TRUNCATE, (file) => {
+            file.xTruncate(Number(size));
+            return SQLITE_OK;
+        });
+    }
+
+    xSync(filePtr, flags) {
+        return this.withFile(filePtr, SQLITE_IOERR_FSYNC, (file) => {
+            if (file.xSync) file.xSync(flags);
+            return SQLITE_OK;
+        });
+    }
+
+    xFileSize(filePtr, pSize) {
+        return this.withFile(filePtr, SQLITE_IOERR_FSTAT, (file) => {
+            writeInt64(this.module, pSize, file.xFileSize());
+            return SQLITE_OK;
+        });
+    }
+
+    xLock(filePtr, level) {
+        return this.withFile(filePtr, SQLITE_IOERR_LOCK, (file) => {
+            if (file.xLock) file.xLock(level);
+            return SQLITE_OK;
+        });
+    }
+
+    xUnlock(filePtr, level) {
+        return this.withFile(filePtr, SQLITE_IOERR_UNLOCK, (file) => {
+            if (file.xUnlock) file.xUnlock(level);
+            return SQLITE_OK;
+        });
+    }
+
+    xCheckReservedLock(filePtr, pResOut) {
+        return this.withFile(filePtr, SQLITE_IOERR_CHECKRESERVEDLOCK, (file) => {
+            const reserved = file.xCheckReservedLock ? file.xCheckReservedLock() : false;
+            this.module.setValue(pResOut, reserved ? 1 : 0, 'i32');
+            return SQLITE_OK;
+        });
+    }
+
+    xFileControl() {
+        return SQLITE_NOTFOUND;
+    }
+
+    xSectorSize() {
+        return SECTOR_SIZE;
+    }
+
+    xDeviceCharacteristics() {
+        return 0;
+    }
+}
+
+/**
+ * Reference VFS keeping every file as a Uint8Array in a Map, keyed by name.
+ * Useful for tests, and as a starting point for VFSs over other storage.
+ */
+class MemoryVFS {
+    /**
+     * @param {string} [name='memory'] - Name to register the VFS under
+     */
+    constructor(name = 'memory') {
+        this.name = name;
+        // name -> { data: Uint8Array (capacity), size: number }
+        this.files = new Map();
+    }
+
+    xOpen(name, flags) {
+        let entry = name === null ? null : this.files.get(name);
+        if (!entry) {
+            if (!(flags & SQLITE_OPEN_CREATE)) {
+                throw Object.assign(new Error(`No such file: ${name}`), { extendedErrno: SQLITE_CANTOPEN });
+            }
+            entry = { data: new Uint8Array(0), size: 0 };
+            if (name !== null) {
+                this.files.set(name, entry);
+            }
+        }
+        return new MemoryFile(entry);
+    }
+
+    xDelete(name) {
+        this.files.delete(name);
+    }
+
+    xAccess(name) {
+        return this.files.has(name);
+    }
+
+    /**
+     * Contents of a stored file, or null
+     * @returns {Uint8Array|null}
+     */
+    getFile(name) {
+        const entry = this.files.get(name);
+        return entry ? entry.data.slice(0, entry.size) : null;
+    }
+}
+
+class MemoryFile {
+    constructor(entry) {
+        this.entry = entry;
+    }
+
+    xRead(buffer, offset) {
+        const { data, size } = this.entry;
+        const available = Math.max(0, Math.min(buffer.length, size - offset));
+        buffer.set(data.subarray(offset, offset + available));
+        return available;
+    }
+
+    xWrite(buffer, offset) {
+        const end = offset + buffer.length;
+        this.reserve(end);
+        this.entry.data.set(buffer, offset);
+        this.entry.size = Math.max(this.entry.size, end);
+    }
+
+    xTruncate(size) {
+        if (size > this.entry.size) {
+            this.reserve(size);
+        } else {
+            this.entry.data.fill(0, size, this.entry.size);
+        }
+        this.entry.size = size;
+    }
+
+    xFileSize() {
+        return this.entry.size;
+    }
+
+    /**
+     * Grow the backing array, doubling so that appends stay cheap
+     */
+    reserve(size) {
+        if (size <= this.entry.data.length) return;
+        const data = new Uint8Array(Math.max(size, this.entry.data.length * 2));
+        data.set(this.entry.data.subarray(0, this.entry.size));
+        this.entry.data = data;
+    }
+}
+
+module.exports = {
+    RegisteredVFS,
+    MemoryVFS
+};
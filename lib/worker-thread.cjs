@@ -0,0 +1,179 @@
+/**
+ * Worker side of initSQLiteWorker()
+ *
+ * Runs in a worker_threads Worker (Node.js) or, built into
+ * dist/worker-thread.mjs by tools/build-esm.cjs, in a module Web Worker
+ * (browser). The first message loads the WASM module; every later one calls a
+ * method on the SQLiteAPI, or on a database or statement opened through it,
+ * which the client refers to by numeric handle.
+ *
+ * Requests:  { id, target, method, args }   target 0 is the SQLiteAPI
+ * Responses: { id, result } | { id, handle } | { id, error }
+ */
+
+const { initSQLite, SQLiteDatabase, Statement } = require('./sqlite-api.cjs');
+
+// Methods the client may call, by target type
+const API_METHODS = new Set([
+    'open', 'openFromBytes', 'encryptDatabase', 'decryptDatabase',
+    'mountHostDirectory', 'unmountHostDirectory'
+]);
+const DATABASE_METHODS = new Set([
+    'exec', 'query', 'prepare', 'rekey', 'migrateCipher', 'getCipherSettings',
+    'toBytes', 'exportTo', 'getChanges', 'getLastInsertRowid', 'sync', 'close'
+]);
+const STATEMENT_METHODS = new Set([
+    'bind', 'run', 'get', 'all', 'reset', 'clearBindings', 'finalize',
+    'raw', 'pluck', 'expand', 'columns', 'readRows'
+]);
+
+/**
+ * Read up to count rows from a statement, starting it first if asked.
+ * Backs the client's async iterators, which fetch rows in batches.
+ * @returns {{rows: Array, done: boolean}}
+ */
+function readRows(stmt, start, params, count) {
+    if (start) stmt.start(params);
+    const rows = [];
+    while (rows.length < count) {
+        if (!stmt.step()) {
+            stmt.reset();
+            return { rows, done: true };
+        }
+        rows.push(stmt.readRow());
+    }
+    return { rows, done: false };
+}
+
+/**
+ * Plain-object form of an error, which survives structured cloning
+ * with the fields of SqliteError intact
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return { name: 'Error', message: String(error) };
+    }
+    return {
+        name: error.name,
+        message: error.message,
+        errno: error.errno,
+        extendedErrno: error.extendedErrno,
+        sql: error.sql
+    };
+}
+
+/**
+ * ArrayBuffers backing the byte arrays in a result (toBytes(), or blob
+ * columns of rows), so they are moved to the client rather than copied
+ */
+function collectTransferables(value, heap, buffers = new Set()) {
+    if (value instanceof Uint8Array) {
+        // Only transfer buffers the array owns; never the WASM heap
+        if (value.buffer !== heap.buffer && value.byteOffset === 0 &&
+            value.byteLength === value.buffer.byteLength) {
+            buffers.add(value.buffer);
+        }
+    } else if (Array.isArray(value)) {
+        for (const item of value) collectTransferables(item, heap, buffers);
+    } else if (value && typeof value === 'object') {
+        for (const item of Object.values(value)) collectTransferables(item, heap, buffers);
+    }
+    return buffers;
+}
+
+/**
+ * Answer requests arriving on a port
+ * @param {object} port - { postMessage(message, transfer), onMessage(listener) }
+ */
+function serve(port) {
+    let sqlite = null;
+    const handles = new Map();
+    let nextHandle = 1;
+
+    const resolveTarget = (target, method) => {
+        if (target === 0) {
+            if (!API_METHODS.has(method)) throw new TypeError(`SQLiteAPI.${method}() is not available in a worker`);
+            return sqlite;
+        }
+        const object = handles.get(target);
+        if (!object) throw new Error('Database or statement is no longer open');
+        const methods = object instanceof Statement ? STATEMENT_METHODS : DATABASE_METHODS;
+        if (!methods.has(method)) throw new TypeError(`${method}() is not available in a worker`);
+        return object;
+    };
+
+    const release = (object) => {
+        for (const [handle, other] of handles) {
+            if (other === object || (object instanceof SQLiteDatabase && other.db === object)) {
+                handles.delete(handle);
+            }
+        }
+    };
+
+    const call = async ({ target, method, args }) => {
+        if (method === 'init') {
+            if (sqlite) throw new Error('SQLite worker is already initialized');
+            sqlite = await initSQLite(...args);
+            return { result: undefined };
+        }
+        if (!sqlite) throw new Error('SQLite worker is not initialized');
+
+        const object = resolveTarget(target, method);
+        const result = method === 'readRows'
+            ? readRows(object, ...args)
+            : await object[method](...args);
+
+        if (method === 'close' || method === 'finalize') {
+            release(object);
+        }
+        if (result === object) {
+            // Chaining methods such as bind() and raw() return the proxy on the client
+            return { result: undefined };
+        }
+        if (result instanceof SQLiteDatabase || result instanceof Statement) {
+            const handle = nextHandle++;
+            handles.set(handle, result);
+            return { handle };
+        }
+        return { result };
+    };
+
+    port.onMessage(async (request) => {
+        let response;
+        try {
+            response = { id: request.id, ...(await call(request)) };
+        } catch (error) {
+            port.postMessage({ id: request.id, error: serializeError(error) });
+            return;
+        }
+        const transfer = sqlite ? [...collectTransferables(response.result, sqlite.module.HEAPU8)] : [];
+        port.postMessage(response, transfer);
+    });
+}
+
+/**
+ * The port of the worker this script is running in
+ */
+function parentPort() {
+    let workerThreads = null;
+    try {
+        workerThreads = require('worker_threads');
+    } catch {
+        // Not Node.js: a Web Worker
+    }
+    if (workerThreads && workerThreads.parentPort) {
+        const port = workerThreads.parentPort;
+        return {
+            postMessage: (message, transfer) => port.postMessage(message, transfer),
+            onMessage: (listener) => port.on('message', listener)
+        };
+    }
+    // Held now, in case the WASM module's runtime reassigns self
+    const scope = self;
+    return {
+        postMessage: (message, transfer) => scope.postMessage(message, transfer),
+        onMessage: (listener) => scope.addEventListener('message', (event) => listener(event.data))
+    };
+}
+
+serve(parentPort());
@@ -0,0 +1,395 @@
+/**
+ * Promise-based SQLite API running in a worker
+ *
+ * initSQLiteWorker() loads the WASM module in a worker_threads Worker
+ * (Node.js) or a Web Worker (browser), so that queries and key derivation
+ * do not block the event loop. The proxies mirror SQLiteAPI, SQLiteDatabase
+ * and Statement, with every method returning a promise. Requests carry an id
+ * that the worker echoes in its response, so any number may be in flight.
+ *
+ * Arguments and results are structured-cloned. Blobs in results, and the
+ * bytes from toBytes(), are transferred rather than copied. Options holding
+ * functions (custom persistence backends, JavaScript VFSes) cannot cross
+ * to the worker, nor can user-defined functions, aggregates or collations.
+ */
+
+const { SqliteError, WrongKeyError } = require('./sqlite-api.cjs');
+
+// Rows fetched per round trip by the async iterators
+const ITERATE_BATCH_SIZE = 256;
+
+/**
+ * Rebuild an error sent by the worker, keeping its class where it is one of ours
+ */
+function deserializeError({ name, message, errno, extendedErrno, sql }) {
+    switch (name) {
+        case 'WrongKeyError':
+            return new WrongKeyError(message, { sql });
+        case 'SqliteError':
+            return new SqliteError(message, { errno, extendedErrno, sql });
+        case 'TypeError':
+            return new TypeError(message);
+        case 'RangeError':
+            return new RangeError(message);
+        default: {
+            const error = new Error(message);
+            if (name && name !== 'Error') error.name = name;
+            return error;
+        }
+    }
+}
+
+/**
+ * Proxy for a SQLiteAPI in a worker
+ */
+class SQLiteWorker {
+    /**
+     * @param {object} worker - A worker_threads Worker or a Web Worker running worker-thread.cjs
+     */
+    constructor(worker) {
+        this.worker = worker;
+        this.pending = new Map();
+        this.nextId = 1;
+        // Set once the worker has stopped; later calls fail with it
+        this.exitError = null;
+
+        const onMessage = (message) => this.settle(message);
+        const onExit = (error) => this.fail(error || new Error('SQLite worker exited'));
+        if (typeof worker.on === 'function') {
+            worker.on('message', onMessage);
+            worker.on('error', onExit);
+            worker.on('exit', () => onExit(null));
+            // An idle worker does not keep the process alive; see request()
+            worker.unref();
+        } else {
+            worker.addEventListener('message', (event) => onMessage(event.data));
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                onExit(new Error(`SQLite worker failed: ${event.message}`));
+            });
+        }
+    }
+
+    /**
+     * Send a request and resolve with the worker's response
+     * @param {number} target - 0 for the SQLiteAPI, or a database or statement handle
+     * @param {string} method - Method to call on the target
+     * @param {Array} [args]
+     * @returns {Promise<{result?: *, handle?: number}>}
+     */
+    request(target, method, args = []) {
+        if (this.exitError) {
+            return Promise.reject(this.exitError);
+        }
+        const id = this.nextId++;
+        if (this.pending.size === 0 && typeof this.worker.ref === 'function') {
+            this.worker.ref();
+        }
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            try {
+                this.worker.postMessage({ id, target, method, args });
+            } catch (e) {
+                // e.g. a DataCloneError for an argument holding a function
+                this.forget(id);
+                reject(e);
+            }
+        });
+    }
+
+    /**
+     * Call a method and resolve with its result
+     */
+    async call(target, method, args) {
+        return (await this.request(target, method, args)).result;
+    }
+
+    settle(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.forget(message.id);
+        if (message.error) {
+            request.reject(deserializeError(message.error));
+        } else {
+            request.resolve(message);
+        }
+    }
+
+    /**
+     * Stop waiting for a request, letting the process exit once none are pending
+     */
+    forget(id) {
+        this.pending.delete(id);
+        if (this.pending.size === 0 && typeof this.worker.unref === 'function') {
+            this.worker.unref();
+        }
+    }
+
+    fail(error) {
+        if (this.exitError) return;
+        this.exitError = error;
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Open a database in the worker; see SQLiteAPI.open()
+     * @returns {Promise<WorkerDatabase>}
+     */
+    async open(filename, options) {
+        const { handle } = await this.request(0, 'open', options === undefined ? [filename] : [filename, options]);
+        return new WorkerDatabase(this, handle);
+    }
+
+    /**
+     * Open a copy of a serialized database in the worker; see SQLiteAPI.openFromBytes()
+     * @returns {Promise<WorkerDatabase>}
+     */
+    async openFromBytes(bytes, options) {
+        const { handle } = await this.request(0, 'openFromBytes', options === undefined ? [bytes] : [bytes, options]);
+        return new WorkerDatabase(this, handle);
+    }
+
+    encryptDatabase(src, dst, key, options) {
+        return this.call(0, 'encryptDatabase', [src, dst, key, options]);
+    }
+
+    decryptDatabase(src, dst, key, options) {
+        return this.call(0, 'decryptDatabase', [src, dst, key, options]);
+    }
+
+    mountHostDirectory(mountPoint, hostDir) {
+        return this.call(0, 'mountHostDirectory', [mountPoint, hostDir]);
+    }
+
+    unmountHostDirectory(mountPoint) {
+        return this.call(0, 'unmountHostDirectory', [mountPoint]);
+    }
+
+    /**
+     * Stop the worker. Databases still open are discarded without closing,
+     * so close persisted databases first. Pending calls are rejected.
+     */
+    async terminate() {
+        this.fail(new Error('SQLite worker was terminated'));
+        await this.worker.terminate();
+    }
+}
+
+/**
+ * Proxy for a SQLiteDatabase in a worker
+ */
+class WorkerDatabase {
+    constructor(client, handle) {
+        this.client = client;
+        this.handle = handle;
+    }
+
+    call(method, args) {
+        return this.client.call(this.handle, method, args);
+    }
+
+    exec(sql, params) {
+        return this.call('exec', [sql, params]);
+    }
+
+    query(sql, params, options) {
+        return this.call('query', [sql, params, options]);
+    }
+
+    /**
+     * @returns {Promise<WorkerStatement>}
+     */
+    async prepare(sql, options) {
+        const { handle } = await this.client.request(this.handle, 'prepare', [sql, options]);
+        return new WorkerStatement(this.client, handle);
+    }
+
+    /**
+     * Execute a query and iterate over its rows with for await...of,
+     * fetching them from the worker in batches. The statement is finalized
+     * when iteration finishes, throws, or is left early.
+     */
+    async *iterate(sql, params, options) {
+        const stmt = await this.prepare(sql, options);
+        try {
+            yield* stmt.iterate(params);
+        } finally {
+            await stmt.finalize();
+        }
+    }
+
+    rekey(newKey) {
+        return this.call('rekey', [newKey]);
+    }
+
+    migrateCipher() {
+        return this.call('migrateCipher');
+    }
+
+    getCipherSettings() {
+        return this.call('getCipherSettings');
+    }
+
+    /**
+     * @returns {Promise<Uint8Array>} The database image, transferred from the worker
+     */
+    toBytes() {
+        return this.call('toBytes');
+    }
+
+    exportTo(filePath, options) {
+        return this.call('exportTo', [filePath, options]);
+    }
+
+    getChanges() {
+        return this.call('getChanges');
+    }
+
+    getLastInsertRowid() {
+        return this.call('getLastInsertRowid');
+    }
+
+    sync() {
+        return this.call('sync');
+    }
+
+    close() {
+        return this.call('close');
+    }
+}
+
+/**
+ * Proxy for a Statement in a worker. Methods that chain on a Statement
+ * (bind(), raw(), ...) resolve with the proxy.
+ */
+class WorkerStatement {
+    constructor(client, handle) {
+        this.client = client;
+        this.handle = handle;
+    }
+
+    call(method, args) {
+        return this.client.call(this.handle, method, args);
+    }
+
+    async chain(method, args) {
+        await this.call(method, args);
+        return this;
+    }
+
+    bind(params) {
+        return this.chain('bind', [params]);
+    }
+
+    run(params) {
+        return this.call('run', [params]);
+    }
+
+    get(params) {
+        return this.call('get', [params]);
+    }
+
+    all(params) {
+        return this.call('all', [params]);
+    }
+
+    /**
+     * Execute and yield rows with for await...of, fetching them in batches.
+     * Leaving the loop early resets the statement.
+     */
+    async *iterate(params) {
+        let start = true;
+        let done = false;
+        try {
+            while (!done) {
+                const batch = await this.call('readRows', [start, params, ITERATE_BATCH_SIZE]);
+                start = false;
+                done = batch.done;
+                yield* batch.rows;
+            }
+        } finally {
+            if (!done && !this.client.exitError) {
+                await this.call('reset');
+            }
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.iterate();
+    }
+
+    reset() {
+        return this.chain('reset');
+    }
+
+    clearBindings() {
+        return this.chain('clearBindings');
+    }
+
+    raw(toggle) {
+        return this.chain('raw', [toggle]);
+    }
+
+    pluck(toggle) {
+        return this.chain('pluck', [toggle]);
+    }
+
+    expand(toggle) {
+        return this.chain('expand', [toggle]);
+    }
+
+    columns() {
+        return this.call('columns');
+    }
+
+    finalize() {
+        return this.call('finalize');
+    }
+}
+
+/**
+ * Start a worker and load the SQLCipher WASM module in it
+ * @param {string} [modulePath] - Path of the Emscripten module, as for initSQLite(); in
+ *   Node.js it is resolved by the worker, so pass an absolute path. Defaults to dist/sqlcipher.js,
+ *   or to dist/sqlcipher-es6.mjs in a browser.
+ * @param {object} [options]
+ * @param {object} [options.mounts] - Host directories to mount, as for initSQLite()
+ * @param {string|URL} [options.workerUrl] - Browser only: URL of dist/worker-thread.mjs, the
+ *   worker side built by tools/build-esm.cjs, which is started as a module Web Worker
+ * @returns {Promise<SQLiteWorker>}
+ */
+async function initSQLiteWorker(modulePath, options = {}) {
+    const { workerUrl, ...initOptions } = options;
+    let worker;
+
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+        // Required here so that bundling this module for a browser needs no Node.js shims
+        const { Worker } = require('worker_threads');
+        const { join } = require('path');
+        worker = new Worker(join(__dirname, 'worker-thread.cjs'));
+    } else {
+        if (!workerUrl) {
+            throw new TypeError('initSQLiteWorker() needs options.workerUrl in the browser');
+        }
+        worker = new Worker(workerUrl, { type: 'module' });
+    }
+
+    const client = new SQLiteWorker(worker);
+    try {
+        await client.request(0, 'init', [modulePath, initOptions]);
+    } catch (e) {
+        await worker.terminate();
+        throw e;
+    }
+    return client;
+}
+
+module.exports = {
+    initSQLiteWorker,
+    SQLiteWorker,
+    WorkerDatabase,
+    WorkerStatement
+};
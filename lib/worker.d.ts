@@ -0,0 +1,114 @@
+/**
+ * Type declarations for lib/worker.cjs
+ */
+
+import type {
+    BindParameters,
+    CipherSettings,
+    CipherSettingsInfo,
+    ColumnDescription,
+    EncryptionKey,
+    ExpandedRow,
+    ExportOptions,
+    InitOptions,
+    OpenOptions,
+    Row,
+    RunResult,
+    SQLiteValue,
+    StatementOptions
+} from './sqlite-api';
+
+/**
+ * Options for opening a database in a worker. They are structured-cloned, so
+ * a JavaScript VFS or a custom persistence backend cannot be passed.
+ */
+export interface WorkerOpenOptions extends Omit<OpenOptions, 'vfs' | 'persistence'> {
+    vfs?: string | null;
+    persistence?: 'indexeddb' | 'opfs' | null;
+}
+
+export interface WorkerInitOptions extends InitOptions {
+    /** Browser only: URL of dist/worker-thread.mjs, which is started as a module Web Worker */
+    workerUrl?: string | { href: string };
+}
+
+/** Proxy for a SQLiteAPI in a worker */
+export declare class SQLiteWorker {
+    /** Clients are created by initSQLiteWorker() */
+    constructor(worker: object);
+    open(filename?: string, options?: EncryptionKey | WorkerOpenOptions | null): Promise<WorkerDatabase>;
+    openFromBytes(
+        bytes: Uint8Array | ArrayBuffer,
+        options?: EncryptionKey | Omit<WorkerOpenOptions, 'persistence'> | null
+    ): Promise<WorkerDatabase>;
+    encryptDatabase(src: string, dst: string, key: EncryptionKey, options?: { cipher?: CipherSettings }): Promise<void>;
+    decryptDatabase(src: string, dst: string, key: EncryptionKey, options?: { cipher?: CipherSettings }): Promise<void>;
+    mountHostDirectory(mountPoint: string, hostDir: string): Promise<void>;
+    unmountHostDirectory(mountPoint: string): Promise<void>;
+    /** Stop the worker, discarding databases still open and rejecting pending calls */
+    terminate(): Promise<void>;
+}
+
+/** Proxy for a SQLiteDatabase in a worker */
+export declare class WorkerDatabase {
+    constructor(client: SQLiteWorker, handle: number);
+    exec(sql: string, params?: BindParameters): Promise<RunResult>;
+    query<T = Row>(sql: string, params?: BindParameters, options?: StatementOptions & { raw?: false }): Promise<T[]>;
+    query<T extends unknown[] = SQLiteValue[]>(
+        sql: string, params: BindParameters | undefined, options: StatementOptions & { raw: true }
+    ): Promise<T[]>;
+    query(sql: string, params?: BindParameters, options?: StatementOptions): Promise<Array<Row | SQLiteValue[]>>;
+    prepare<T = Row>(sql: string, options?: StatementOptions & { raw?: false }): Promise<WorkerStatement<T>>;
+    prepare<T extends unknown[] = SQLiteValue[]>(
+        sql: string, options: StatementOptions & { raw: true }
+    ): Promise<WorkerStatement<T>>;
+    prepare(sql: string, options?: StatementOptions): Promise<WorkerStatement<Row | SQLiteValue[]>>;
+    /** Iterate over the rows with for await...of, fetching them in batches */
+    iterate<T = Row>(
+        sql: string, params?: BindParameters, options?: StatementOptions & { raw?: false }
+    ): AsyncGenerator<T, void, undefined>;
+    iterate<T extends unknown[] = SQLiteValue[]>(
+        sql: string, params: BindParameters | undefined, options: StatementOptions & { raw: true }
+    ): AsyncGenerator<T, void, undefined>;
+    iterate(
+        sql: string, params?: BindParameters, options?: StatementOptions
+    ): AsyncGenerator<Row | SQLiteValue[], void, undefined>;
+    rekey(newKey: EncryptionKey): Promise<void>;
+    migrateCipher(): Promise<number>;
+    getCipherSettings(): Promise<CipherSettingsInfo>;
+    toBytes(): Promise<Uint8Array>;
+    exportTo(path: string, options?: EncryptionKey | ExportOptions | null): Promise<void>;
+    getChanges(): Promise<number>;
+    getLastInsertRowid(): Promise<number | bigint>;
+    sync(): Promise<void>;
+    close(): Promise<void>;
+}
+
+/** Proxy for a Statement in a worker; chaining methods resolve with the proxy */
+export declare class WorkerStatement<T = Row> implements AsyncIterable<T> {
+    constructor(client: SQLiteWorker, handle: number);
+    bind(params?: BindParameters): Promise<this>;
+    run(params?: BindParameters): Promise<RunResult>;
+    get(params?: BindParameters): Promise<T | undefined>;
+    all(params?: BindParameters): Promise<T[]>;
+    iterate(params?: BindParameters): AsyncGenerator<T, void, undefined>;
+    [Symbol.asyncIterator](): AsyncGenerator<T, void, undefined>;
+    reset(): Promise<this>;
+    clearBindings(): Promise<this>;
+    raw<R extends unknown[] = SQLiteValue[]>(toggle?: true): Promise<WorkerStatement<R>>;
+    raw(toggle: false): Promise<WorkerStatement<Row>>;
+    pluck<V = SQLiteValue>(toggle?: true): Promise<WorkerStatement<V>>;
+    pluck(toggle: false): Promise<WorkerStatement<Row>>;
+    expand<R = ExpandedRow>(toggle?: true): Promise<WorkerStatement<R>>;
+    expand(toggle: false): Promise<WorkerStatement<Row>>;
+    columns(): Promise<ColumnDescription[]>;
+    finalize(): Promise<void>;
+}
+
+/**
+ * Start a worker and load the SQLCipher WASM module in it. In Node.js the
+ * module path is resolved by the worker, so pass an absolute path. In a
+ * browser, options.workerUrl is required, and a relative module path is
+ * resolved against dist/sqlite-api.mjs.
+ */
+export declare function initSQLiteWorker(modulePath?: string, options?: WorkerInitOptions): Promise<SQLiteWorker>;
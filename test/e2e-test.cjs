@@ -12,7 +12,7 @@
  */
 
 const { join } = require('path');
-const { initSQLite } = require('../lib/sqlite-api.cjs');
+const { initSQLite, SqliteError } = require('../lib/sqlite-api.cjs');
 
 // Colors
 const colors = {
@@ -117,7 +117,7 @@ async function main() {
         db.exec('UPDATE users SET age = 31 WHERE name = "Alice Smith"');
         const updated = db.query('SELECT age FROM users WHERE name = "Alice Smith"');
         log(`   ✓ Alice's age updated to ${updated[0].age}`, 'green');
-        assertEqual(updated[0].age, '31', 'Age should be updated to 31');
+        assertEqual(updated[0].age, 31, 'Age should be updated to 31');
         console.log();
 
         // Count query
@@ -225,14 +225,507 @@ async function main() {
         assert(searchResults.length === 3, 'Should find 3 users');
         console.log();
 
+        // Test prepared statements
+        log('16. Testing prepared statements...', 'cyan');
+        const insertPost = db.prepare('INSERT INTO posts (user_id, title) VALUES (?, ?)');
+        for (let i = 1; i <= 3; i++) {
+            const info = insertPost.run([3, `Batch Post ${i}`]);
+            assertEqual(info.changes, 1, 'Each run should insert one row');
+        }
+        insertPost.finalize();
+        const byUser = db.prepare('SELECT title FROM posts WHERE user_id = ? ORDER BY id');
+        const charliePosts = byUser.all([3]);
+        assertEqual(charliePosts.length, 4, 'Charlie should have 4 posts');
+        assertEqual(byUser.get([1]).title, 'First Post', 'get() should return the first row');
+        assert(byUser.get([99]) === undefined, 'get() should return undefined when no rows match');
+        const iterated = [];
+        for (const row of byUser.iterate([3])) {
+            iterated.push(row.title);
+        }
+        assertEqual(iterated, charliePosts.map(p => p.title), 'iterate() should yield the same rows as all()');
+        byUser.bind([1]);
+        assert(byUser.step(), 'step() should report a row');
+        assertEqual(byUser.readRow().title, 'First Post', 'Manual stepping should read rows');
+        byUser.reset();
+        const openStmt = db.prepare('SELECT COUNT(*) as count FROM posts');
+        log(`   ✓ Reused statements, ${charliePosts.length} posts for Charlie`, 'green');
+        console.log();
+
+        // Test typed column decoding
+        log('17. Testing column types...', 'cyan');
+        db.exec(`
+            CREATE TABLE typed (i INTEGER, big INTEGER, r REAL, t TEXT, b BLOB, n TEXT);
+            INSERT INTO typed VALUES (42, 9007199254740993, 2.5, 'text', X'00FF10', NULL);
+        `);
+        const typed = db.query('SELECT * FROM typed')[0];
+        assert(typed.i === 42, 'INTEGER should decode as a number');
+        assert(typed.big === 9007199254740993n, 'Large INTEGER should decode as a BigInt');
+        assert(typed.r === 2.5, 'REAL should decode as a number');
+        assert(typed.t === 'text', 'TEXT should decode as a string');
+        assert(typed.b instanceof Uint8Array, 'BLOB should decode as a Uint8Array');
+        assertEqual(Array.from(typed.b), [0, 255, 16], 'BLOB bytes should round-trip');
+        assert(typed.n === null, 'NULL should decode as null');
+        const legacy = db.query('SELECT i, r, n FROM typed', [], { stringValues: true })[0];
+        assertEqual(legacy, { i: '42', r: '2.5', n: null }, 'stringValues should keep string decoding');
+        log('   ✓ INTEGER, REAL, TEXT, BLOB and NULL decoded', 'green');
+        console.log();
+
+        // Test parameter binding
+        log('18. Testing parameter binding...', 'cyan');
+        db.exec('CREATE TABLE bound (v)');
+        const insertBound = db.prepare('INSERT INTO bound (v) VALUES (?)');
+        const boundValues = [
+            null,
+            true,
+            2 ** 40,
+            -(2n ** 62n),
+            1.25,
+            'héllo wörld',
+            new Uint8Array([1, 2, 3]),
+            Buffer.from('buf'),
+            new Uint8Array([9, 8]).buffer,
+            new Uint8Array(0),
+            2 ** 53 + 2,
+            -(2 ** 63),
+            2 ** 63
+        ];
+        boundValues.forEach(value => insertBound.run([value]));
+        insertBound.finalize();
+        const bound = db.query('SELECT v, typeof(v) AS type FROM bound ORDER BY rowid');
+        assertEqual(bound.map(r => r.type),
+            ['null', 'integer', 'integer', 'integer', 'real', 'text', 'blob', 'blob', 'blob', 'blob',
+                'integer', 'integer', 'real'],
+            'Values should bind with their SQLite storage class');
+        assert(bound[1].v === 1, 'true should bind as 1');
+        assert(bound[2].v === 2 ** 40, 'Integers above 32 bits should not be truncated');
+        assert(bound[3].v === -(2n ** 62n), 'BigInt should bind as a 64-bit integer');
+        assert(bound[5].v === 'héllo wörld', 'Text should round-trip');
+        assertEqual(Array.from(bound[6].v), [1, 2, 3], 'Uint8Array should bind as a blob');
+        assertEqual(Buffer.from(bound[7].v).toString(), 'buf', 'Buffer should bind as a blob');
+        assertEqual(Array.from(bound[8].v), [9, 8], 'ArrayBuffer should bind as a blob');
+        assertEqual(bound[9].v.length, 0, 'Empty blobs should stay empty, not NULL');
+        assert(bound[10].v === 2n ** 53n + 2n, 'Integers past the safe range should bind exactly');
+        assert(bound[11].v === -(2n ** 63n), 'The smallest 64-bit integer should bind as INTEGER');
+        assert(bound[12].v === 2 ** 63, 'Numbers past the 64-bit range should bind as REAL');
+        log(`   ✓ Bound ${boundValues.length} values of different types`, 'green');
+        console.log();
+
+        // Test named parameters
+        log('19. Testing named parameters...', 'cyan');
+        const named = db.query(
+            'SELECT name FROM users WHERE age > :minAge AND email LIKE @domain AND name != $skip ORDER BY name',
+            { minAge: 27, '@domain': '%example.com', $skip: 'Diana Prince' }
+        );
+        assertEqual(named.map(r => r.name), ['Alice Smith', 'Charlie Brown'], 'Named parameters should bind by name');
+        const byName = db.prepare('SELECT COUNT(*) as count FROM users WHERE age >= :age');
+        assertEqual(byName.get({ age: 31 }).count, 2, 'Prepared statements should accept named parameters');
+        const namedErrors = [
+            [() => byName.get({}), 'Missing value for named parameter ":age"'],
+            [() => byName.get({ age: 1, extra: 2 }), 'Unknown named parameter "extra"'],
+            [() => byName.get([1, 2]), 'Expected 1 parameter(s) but got 2'],
+            [() => db.query('SELECT ?', { a: 1 }), 'Parameter 1 is positional; pass parameters as an array']
+        ];
+        for (const [fn, message] of namedErrors) {
+            let error = null;
+            try {
+                fn();
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.message === message, `Expected error "${message}" but got ${error && error.message}`);
+        }
+        byName.finalize();
+        assertEqual(db.query('SELECT :missing AS a, ? AS b'), [{ a: null, b: null }],
+            'Omitted parameters should leave placeholders unbound');
+        log('   ✓ :name, @name and $name parameters bound, mismatches rejected', 'green');
+        console.log();
+
+        // Test exec with parameters
+        log('20. Testing exec() with parameters...', 'cyan');
+        const execInfo = db.exec(
+            'INSERT INTO users (name, email, age) VALUES (?, ?, ?)',
+            ['Eve Adams', 'eve@example.com', 22]
+        );
+        assertEqual(execInfo.changes, 1, 'exec() should report changed rows');
+        assert(execInfo.lastInsertRowid > 0, 'exec() should report the last rowid');
+        const scriptInfo = db.exec(`
+            -- Each statement takes its own placeholders, in order
+            UPDATE users SET age = ? WHERE email = ?;
+            INSERT INTO posts (user_id, title) VALUES (?, ?);
+            DELETE FROM posts WHERE title = 'no such post';
+        `, [23, 'eve@example.com', execInfo.lastInsertRowid, 'Eve Post']);
+        assertEqual(scriptInfo.changes, 2, 'Changes should cover the whole script');
+        assertEqual(db.query('SELECT age FROM users WHERE name = ?', ['Eve Adams'])[0].age, 23,
+            'Script parameters should bind to the right statement');
+        db.exec('UPDATE users SET age = :age WHERE name = :name; SELECT :age', { name: 'Eve Adams', age: 24 });
+        assertEqual(db.query('SELECT age FROM users WHERE name = :name', { name: 'Eve Adams' })[0].age, 24,
+            'Named parameters should be shared across the script');
+        let leftoverError = null;
+        try {
+            db.exec('SELECT ?; SELECT ?', [1, 2, 3]);
+        } catch (e) {
+            leftoverError = e;
+        }
+        assert(leftoverError && leftoverError.message === 'Expected 2 parameter(s) but got 3',
+            'Unused positional parameters should be rejected');
+        const usersBefore = db.query('SELECT COUNT(*) as count FROM users')[0].count;
+        let leftoverWriteError = null;
+        try {
+            db.exec('INSERT INTO users (name, email, age) VALUES (?, ?, ?)', ['Extra', 'extra@example.com', 40, 'oops']);
+        } catch (e) {
+            leftoverWriteError = e;
+        }
+        assert(leftoverWriteError && leftoverWriteError.message === 'Expected 3 parameter(s) but got 4',
+            'Unused positional parameters of a write should be rejected');
+        assertEqual(db.query('SELECT COUNT(*) as count FROM users')[0].count, usersBefore,
+            'A write with unused parameters should not run');
+        let unknownNameError = null;
+        try {
+            db.exec('UPDATE users SET age = :age WHERE name = :name', { name: 'Eve Adams', age: 99, agee: 25 });
+        } catch (e) {
+            unknownNameError = e;
+        }
+        assert(unknownNameError && unknownNameError.message === 'Unknown named parameter "agee"',
+            'Unknown named parameters of a write should be rejected');
+        assertEqual(db.query('SELECT age FROM users WHERE name = :name', { name: 'Eve Adams' })[0].age, 24,
+            'A write with unknown named parameters should not run');
+        log('   ✓ Parameters bound across a multi-statement script', 'green');
+        console.log();
+
+        // Test transaction helper
+        log('21. Testing transaction helper...', 'cyan');
+        const countPosts = () => db.query('SELECT COUNT(*) as count FROM posts')[0].count;
+        const postsBefore = countPosts();
+        const addPost = db.transaction((title) => {
+            assert(db.inTransaction, 'Wrapped function should run inside a transaction');
+            db.exec('INSERT INTO posts (user_id, title) VALUES (1, ?)', [title]);
+        });
+        const addPostThenFail = db.transaction((title) => {
+            addPost(title);
+            db.exec('INSERT INTO posts (user_id, title) VALUES (1, NULL)'); // violates NOT NULL
+        });
+        const addPosts = db.transaction((titles, failAfter) => {
+            titles.forEach(title => addPost(title));
+            let nestedError = null;
+            try {
+                addPostThenFail.immediate('nested failure');
+            } catch (e) {
+                nestedError = e;
+            }
+            assert(nestedError && nestedError.code === 'SQLITE_CONSTRAINT_NOTNULL',
+                'The nested transaction should fail');
+            assert(db.inTransaction, 'Outer transaction should continue after the nested one fails');
+            assertEqual(db.query("SELECT COUNT(*) as count FROM posts WHERE title = 'nested failure'")[0].count, 0,
+                'Savepoint should be rolled back');
+            if (failAfter) {
+                throw new Error('abort');
+            }
+            return titles.length;
+        });
+        assertEqual(addPosts(['T1', 'T2']), 2, 'Transaction should return the function result');
+        assert(!db.inTransaction, 'Transaction should be committed');
+        assertEqual(countPosts(), postsBefore + 2, 'Committed rows should be visible');
+        assertEqual(db.query("SELECT title FROM posts WHERE title IN ('T1', 'T2', 'nested failure') ORDER BY id")
+            .map(r => r.title), ['T1', 'T2'], 'Only the outer transaction\'s rows should be committed');
+        let abortError = null;
+        try {
+            addPosts.exclusive(['T3'], true);
+        } catch (e) {
+            abortError = e;
+        }
+        assert(abortError && abortError.message === 'abort', 'Errors should propagate');
+        assert(!db.inTransaction, 'Failed transaction should be rolled back');
+        assertEqual(countPosts(), postsBefore + 2, 'Rolled back rows should not be visible');
+        const failingNested = db.transaction(() => {
+            addPost('kept');
+            try {
+                db.transaction(() => {
+                    addPost('discarded');
+                    throw new Error('inner');
+                })();
+            } catch (e) {
+                // Only the inner savepoint is rolled back
+            }
+        });
+        failingNested();
+        assertEqual(db.query("SELECT COUNT(*) as count FROM posts WHERE title IN ('kept', 'discarded')")[0].count, 1,
+            'Nested savepoint should roll back independently');
+        log('   ✓ Commit, rollback and nested savepoints work', 'green');
+        console.log();
+
+        // Test structured errors
+        log('22. Testing structured errors...', 'cyan');
+        const captureError = (fn) => {
+            try {
+                fn();
+            } catch (e) {
+                return e;
+            }
+            throw new Error('Expected function to throw');
+        };
+        const duplicateSql = "INSERT INTO users (name, email) VALUES ('Dup', 'alice@example.com')";
+        const uniqueError = captureError(() => db.exec(duplicateSql));
+        assert(uniqueError instanceof SqliteError, 'exec() should throw SqliteError');
+        assertEqual(uniqueError.code, 'SQLITE_CONSTRAINT_UNIQUE', 'Extended code should be named');
+        assertEqual(uniqueError.errno, 19, 'Primary code should be SQLITE_CONSTRAINT');
+        assertEqual(uniqueError.extendedErrno, 2067, 'Extended code should be SQLITE_CONSTRAINT_UNIQUE');
+        assertEqual(uniqueError.sql, duplicateSql, 'Error should carry the SQL text');
+        const notNullError = captureError(() => db.prepare('INSERT INTO users (name) VALUES (?)').run(['NoEmail']));
+        assertEqual(notNullError.code, 'SQLITE_CONSTRAINT_NOTNULL', 'Statement errors should be structured');
+        const syntaxError = captureError(() => db.query('SELEC 1'));
+        assertEqual(syntaxError.code, 'SQLITE_ERROR', 'Syntax errors should use SQLITE_ERROR');
+        assert(syntaxError.message.includes('syntax error'), 'Message should include SQLite\'s text');
+        log(`   ✓ ${uniqueError.code}, ${notNullError.code} and ${syntaxError.code} reported`, 'green');
+        console.log();
+
+        // Test user-defined functions
+        log('23. Testing user-defined functions...', 'cyan');
+        db.function('initials', { deterministic: true }, (name) => name.split(' ').map((part) => part[0]).join(''));
+        db.function('concat_all', { varargs: true }, (...args) => args.join('-'));
+        db.function('describe', (value) => value === null ? 'null' : value instanceof Uint8Array ? 'blob' : typeof value);
+        db.function('echo', (value) => value);
+        db.function('join_path', { argCount: 3 }, (...parts) => parts.join('/'));
+        db.function('greet', undefined, (name, greeting = 'Hello') => `${greeting}, ${name}`);
+        db.function('greet', null, (name, greeting) => `${greeting}, ${name}`);
+        db.function('fail', { directOnly: true }, (message) => {
+            throw new Error(message);
+        });
+        const initials = db.query("SELECT initials(name) as initials FROM users WHERE name IN ('Alice Smith', 'Charlie Brown') ORDER BY id");
+        assertEqual(initials.map((row) => row.initials).join(','), 'AS,CB', 'Scalar function should run per row');
+        assertEqual(db.query("SELECT concat_all(1, 'a', 2.5) as v")[0].v, '1-a-2.5', 'Varargs function should get every argument');
+        const described = db.query("SELECT describe(1) as i, describe(1.5) as f, describe('x') as t, describe(x'00') as b, describe(NULL) as n")[0];
+        assertEqual(Object.values(described).join(','), 'number,number,string,blob,null', 'Arguments should be decoded by type');
+        const echoed = db.query('SELECT echo(?) as big, echo(?) as bytes, echo(?) as flag', [2n ** 60n, new Uint8Array([1, 2]), true])[0];
+        assert(echoed.big === 2n ** 60n, 'BigInt results should round-trip');
+        db.function('past_safe', () => 2 ** 53 + 2);
+        const pastSafe = db.query('SELECT past_safe() as v, typeof(past_safe()) as type')[0];
+        assert(pastSafe.v === 2n ** 53n + 2n && pastSafe.type === 'integer',
+            'Integer results past the safe range should stay INTEGER');
+        assertEqual(Array.from(echoed.bytes).join(','), '1,2', 'Blob results should round-trip');
+        assertEqual(echoed.flag, 1, 'Boolean results should become integers');
+        assertEqual(db.query("SELECT join_path('usr', 'local', 'bin') as v")[0].v, 'usr/local/bin',
+            'A rest-parameter function should take argCount arguments');
+        const argCountError = captureError(() => db.query("SELECT join_path('usr', 'local') as v"));
+        assert(argCountError && argCountError.message.includes('wrong number of arguments'),
+            'Calls with another argument count should be rejected');
+        // greet/1 stops at the default parameter; greet/2 is a separate registration
+        const greetings = db.query("SELECT greet('Ada') as one, greet('Ada', 'Hi') as two")[0];
+        assertEqual(`${greetings.one}|${greetings.two}`, 'Hello, Ada|Hi, Ada',
+            'Functions should be registered for fn.length arguments, with undefined or null options');
+        assert(captureError(() => db.function('bad', { argCount: -2 }, () => 1)) instanceof RangeError,
+            'argCount should be validated');
+        const functionError = captureError(() => db.query("SELECT fail('bad input')"));
+        assert(functionError instanceof SqliteError, 'Function exceptions should fail the statement');
+        assert(functionError.message.includes('bad input'), 'Error should carry the exception message');
+        // Only deterministic functions may be used in an index
+        db.exec('CREATE INDEX idx_users_initials ON users (initials(name))');
+        db.exec('DROP INDEX idx_users_initials');
+        // A connection that cannot close keeps its functions
+        const busyDb = sqlite.open(':memory:');
+        busyDb.function('still_here', () => 'yes');
+        const wasm = sqlite.module;
+        const sqlPtr = wasm.allocateUTF8('SELECT still_here()');
+        const stmtPtrPtr = wasm._malloc(4);
+        wasm._sqlite3_prepare_v2(busyDb.dbPtr, sqlPtr, -1, stmtPtrPtr, 0);
+        const untracked = wasm.getValue(stmtPtrPtr, 'i32');
+        wasm._free(stmtPtrPtr);
+        wasm._free(sqlPtr);
+        const busyError = captureError(() => busyDb.close());
+        assert(busyError instanceof SqliteError && busyError.code === 'SQLITE_BUSY',
+            'close() should report a connection that is still busy');
+        assert(!busyDb.closed && busyDb.query('SELECT still_here() as v')[0].v === 'yes',
+            'A connection that failed to close should keep its functions');
+        wasm._sqlite3_finalize(untracked);
+        busyDb.close();
+        assert(busyDb.closed && busyDb.functions.size === 0, 'Functions should be released once closed');
+        log(`   ✓ ${db.functions.size} functions registered, exceptions reported as SQL errors`, 'green');
+        console.log();
+
+        // Test user-defined aggregates
+        log('24. Testing user-defined aggregate and window functions...', 'cyan');
+        db.aggregate('js_sum', {
+            start: 0,
+            step: (total, value) => total + value,
+            inverse: (total, value) => total - value
+        });
+        db.aggregate('titles', {
+            start: () => [],
+            step: (list, title) => {
+                list.push(title);
+            },
+            result: (list) => list.slice().sort().join('|')
+        });
+        db.aggregate('broken_sum', {
+            step: (total, value) => {
+                throw new Error(`cannot sum ${value}`);
+            }
+        });
+        assertEqual(db.query('SELECT js_sum(age) as total FROM users')[0].total,
+            db.query('SELECT sum(age) as total FROM users')[0].total, 'Aggregate should see every row');
+        assertEqual(db.query('SELECT js_sum(age) as total FROM users WHERE 0')[0].total, 0,
+            'An empty group should return the start value');
+        const grouped = db.query(`
+            SELECT u.name, titles(p.title) as titles, group_concat(p.title, '|') as expected
+            FROM users u JOIN posts p ON u.id = p.user_id
+            GROUP BY u.id ORDER BY u.id
+        `);
+        assert(grouped.length > 1, 'Should have several groups');
+        grouped.forEach((row) => {
+            assertEqual(row.titles, row.expected.split('|').sort().join('|'), `Each group should have its own state (${row.name})`);
+        });
+        const windowed = db.query(`
+            SELECT js_sum(age) OVER w as running, sum(age) OVER w as expected
+            FROM users WHERE age IS NOT NULL
+            WINDOW w AS (ORDER BY id ROWS BETWEEN 1 PRECEDING AND CURRENT ROW)
+        `);
+        windowed.forEach((row) => {
+            assertEqual(row.running, row.expected, 'Sliding window should use inverse()');
+        });
+        const noInverse = captureError(() => db.query('SELECT titles(name) OVER (ORDER BY id) FROM users'));
+        assert(noInverse && noInverse.message.includes('window function'), 'Aggregates without inverse are not window functions');
+        const aggregateError = captureError(() => db.query('SELECT broken_sum(age) FROM users'));
+        assert(aggregateError instanceof SqliteError, 'Step exceptions should fail the statement');
+        assert(aggregateError.message.includes('cannot sum'), 'Error should carry the exception message');
+        log(`   ✓ ${grouped.length} groups and ${windowed.length} window frames aggregated`, 'green');
+        console.log();
+
+        // Test user-defined collations
+        log('25. Testing user-defined collations...', 'cyan');
+        const collator = new Intl.Collator('de');
+        const words = ['Zebra', 'apple', 'Äpfel', 'Bär', 'zoo'];
+        db.exec('CREATE TABLE words (word TEXT)');
+        words.forEach((word) => db.exec('INSERT INTO words VALUES (?)', [word]));
+        db.collation('german', collator.compare);
+        const sortedWords = db.query('SELECT word FROM words ORDER BY word COLLATE german').map((row) => row.word);
+        assertEqual(sortedWords, words.slice().sort(collator.compare), 'ORDER BY should use the comparator');
+        db.exec('CREATE INDEX idx_words_german ON words (word COLLATE german)');
+        const indexedWords = db.query("SELECT word FROM words WHERE word > 'b' COLLATE german ORDER BY word COLLATE german").map((row) => row.word);
+        assertEqual(indexedWords, ['Bär', 'Zebra', 'zoo'], 'Index lookups should use the comparator');
+        const replaceError = captureError(() => db.collation('GERMAN', (a, b) => (a < b ? -1 : a > b ? 1 : 0)));
+        assert(replaceError && replaceError.message.includes('idx_words_german'), 'Replacing a collation used by an index should fail');
+        db.exec('CREATE INDEX idx_words_nocase ON words (word COLLATE NOCASE)');
+        const builtinError = captureError(() => db.collation('nocase', (a, b) => a.localeCompare(b)));
+        assert(builtinError && builtinError.message.includes('idx_words_nocase'),
+            'Replacing a built-in collation used by an index should fail');
+        // A fresh connection to the same database has no german collation yet, so registering it is allowed
+        const wordsCopy = sqlite.openFromBytes(db.toBytes());
+        wordsCopy.collation('german', collator.compare);
+        assertEqual(wordsCopy.query("SELECT word FROM words WHERE word > 'b' COLLATE german ORDER BY word COLLATE german")
+            .map((row) => row.word), ['Bär', 'Zebra', 'zoo'], 'A first registration should serve existing indexes');
+        wordsCopy.close();
+        db.exec('DROP INDEX idx_words_german');
+        db.exec('DROP INDEX idx_words_nocase');
+        db.collation('german', new Intl.Collator('de', { caseFirst: 'upper' }).compare);
+        db.collation('broken', () => {
+            throw new Error('cannot compare');
+        });
+        const collationError = captureError(() => db.query('SELECT word FROM words ORDER BY word COLLATE broken'));
+        assert(collationError instanceof SqliteError, 'Comparator exceptions should fail the statement');
+        assert(collationError.message.includes('cannot compare'), 'Error should carry the exception message');
+        assertEqual(db.query('SELECT COUNT(*) as count FROM words')[0].count, words.length, 'Connection should be usable afterwards');
+        db.exec('DROP TABLE words');
+        log(`   ✓ Sorted ${sortedWords.join(', ')}`, 'green');
+        console.log();
+
+        // Test streaming iteration
+        log('26. Testing lazy row iteration...', 'cyan');
+        const openStatements = db.statements.size;
+        const seriesSql = 'WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?) SELECT i, i * i AS square FROM n';
+        let seriesTotal = 0;
+        for (const row of db.iterate(seriesSql, [100000])) {
+            seriesTotal += row.i;
+        }
+        assertEqual(seriesTotal, 5000050000, 'iterate() should visit every row');
+        assertEqual(db.statements.size, openStatements, 'Exhausting the iterator should finalize its statement');
+        const seen = [];
+        for (const row of db.iterate(seriesSql, [100000], { raw: true })) {
+            seen.push(row);
+            if (seen.length === 3) break;
+        }
+        assertEqual(seen, [[1, 1], [2, 4], [3, 9]], 'Raw mode should yield arrays of column values');
+        assertEqual(db.statements.size, openStatements, 'Breaking out should finalize the statement');
+        const unstarted = db.iterate(seriesSql, [10]);
+        assertEqual(db.statements.size, openStatements, 'An iterator that is not started should hold no statement');
+        unstarted.return();
+        const badIterate = db.iterate('SELECT * FROM no_such_table');
+        assert(captureError(() => badIterate.next()) instanceof SqliteError,
+            'SQL errors should be thrown when iteration starts');
+        const userNames = db.prepare('SELECT name FROM users WHERE age > ? ORDER BY name').bind([0]);
+        const namesOnce = [...userNames].map((row) => row.name);
+        assertEqual([...userNames].map((row) => row.name), namesOnce, 'Statements should be iterable more than once');
+        for (const row of userNames) {
+            assert(row.name, 'Rows should be yielded');
+            break;
+        }
+        assertEqual(userNames.get().name, namesOnce[0], 'Breaking out should reset a prepared statement for reuse');
+        userNames.finalize();
+        log(`   ✓ Streamed 100000 rows, ${namesOnce.length} rows from an iterable statement`, 'green');
+        console.log();
+
+        // Test row modes
+        log('27. Testing row modes and column metadata...', 'cyan');
+        const titles = db.prepare('SELECT title FROM posts ORDER BY id').pluck();
+        assertEqual(titles.all(), db.query('SELECT title FROM posts ORDER BY id').map((row) => row.title),
+            'pluck() should return the first column');
+        assert(Array.isArray(titles.raw().get()), 'Enabling a mode should replace the previous one');
+        titles.finalize();
+        const joined = db.prepare(`
+            SELECT u.id, p.id, u.name, p.title, length(p.title) AS len
+            FROM users u JOIN posts p ON p.user_id = u.id ORDER BY p.id
+        `);
+        const joinedObject = joined.get();
+        assertEqual(Object.keys(joinedObject), ['id', 'name', 'title', 'len'], 'Objects keep one of two equally named columns');
+        const joinedRaw = joined.raw().get();
+        assertEqual(joinedRaw.length, 5, 'raw() should keep every column');
+        const joinedExpanded = joined.expand().get();
+        assertEqual(Object.keys(joinedExpanded), ['users', 'posts', '$'], 'expand() should group columns by table');
+        assertEqual(joinedExpanded.users, { id: joinedRaw[0], name: joinedRaw[2] }, 'Users columns should be nested');
+        assertEqual(joinedExpanded.posts, { id: joinedRaw[1], title: joinedRaw[3] }, 'Posts columns should be nested');
+        assertEqual(joinedExpanded.$, { len: joinedRaw[4] }, 'Expressions should be nested under $');
+        assertEqual(joined.expand(false).get(), joinedObject, 'Turning a mode off should return objects');
+        const joinedColumns = joined.columns();
+        assertEqual(joinedColumns[2], { name: 'name', column: 'name', table: 'users', database: 'main', type: 'TEXT' },
+            'columns() should describe table columns');
+        assertEqual(joinedColumns[4], { name: 'len', column: null, table: null, database: null, type: null },
+            'columns() should describe expressions');
+        joined.finalize();
+        const noData = db.prepare("UPDATE users SET age = age WHERE name = 'nobody'");
+        assert(captureError(() => noData.pluck()) instanceof TypeError, 'Row modes need a statement that returns data');
+        noData.finalize();
+        log(`   ✓ raw, pluck and expand rows for ${joinedColumns.length} columns`, 'green');
+        console.log();
+
+        // Test serializing to bytes
+        log('28. Testing toBytes() and openFromBytes()...', 'cyan');
+        const image = db.toBytes();
+        assert(image instanceof Uint8Array, 'toBytes() should return a Uint8Array');
+        assertEqual(Buffer.from(image.subarray(0, 15)).toString(), 'SQLite format 3', 'Image should start with the SQLite header');
+        const copy = sqlite.openFromBytes(image);
+        assertEqual(copy.query('SELECT COUNT(*) as count FROM users')[0].count,
+            db.query('SELECT COUNT(*) as count FROM users')[0].count, 'Copy should have the same users');
+        copy.exec("INSERT INTO users (name, email) VALUES ('Copy Only', 'copy@example.com')");
+        const copyImage = copy.toBytes();
+        copy.close();
+        const reopenedCopy = sqlite.openFromBytes(copyImage.buffer);
+        assertEqual(reopenedCopy.query("SELECT COUNT(*) as count FROM users WHERE name = 'Copy Only'")[0].count, 1,
+            'Changes to the copy should survive another round trip');
+        reopenedCopy.close();
+        assertEqual(db.query("SELECT COUNT(*) as count FROM users WHERE name = 'Copy Only'")[0].count, 0,
+            'The original should be unaffected');
+        log(`   ✓ Round-tripped a ${image.length}-byte database image`, 'green');
+        console.log();
+
         // Close database
-        log('16. Closing database...', 'cyan');
+        log('29. Closing database...', 'cyan');
         db.close();
+        assert(byUser.finalized && openStmt.finalized, 'close() should finalize open statements');
+        assertEqual(db.functions.size, 0, 'close() should release user-defined functions');
+        assertEqual(db.collations.size, 0, 'close() should release collations');
         log('   ✓ Database closed', 'green');
         console.log();
 
         // Test reopening
-        log('17. Testing database persistence (opening new DB)...', 'cyan');
+        log('30. Testing database persistence (opening new DB)...', 'cyan');
         const db2 = sqlite.open(':memory:');
         db2.exec('CREATE TABLE test (id INTEGER PRIMARY KEY, value TEXT)');
         db2.exec('INSERT INTO test (value) VALUES ("test1"), ("test2")');
@@ -260,6 +753,19 @@ async function main() {
         console.log('  ✓ GROUP BY queries');
         console.log('  ✓ Index creation');
         console.log('  ✓ LIKE pattern matching');
+        console.log('  ✓ Prepared statements (prepare/run/get/all/iterate)');
+        console.log('  ✓ Typed column decoding');
+        console.log('  ✓ Parameter binding (NULL, boolean, BigInt, text, blob)');
+        console.log('  ✓ Named parameters (:name, @name, $name)');
+        console.log('  ✓ exec() with parameters and multi-statement scripts');
+        console.log('  ✓ Transaction helper with nested savepoints');
+        console.log('  ✓ Structured SqliteError codes');
+        console.log('  ✓ User-defined scalar functions');
+        console.log('  ✓ User-defined aggregate and window functions');
+        console.log('  ✓ User-defined collations');
+        console.log('  ✓ Lazy iteration (db.iterate, iterable statements, raw rows)');
+        console.log('  ✓ Row modes (raw, pluck, expand) and column metadata');
+        console.log('  ✓ Serializing to and from Uint8Array');
         console.log('  ✓ Multiple database connections');
         console.log();
 
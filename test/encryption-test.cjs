@@ -5,7 +5,7 @@
  * Tests various encryption scenarios
  */
 
-const { initSQLite } = require('../lib/sqlite-api.cjs');
+const { initSQLite, WrongKeyError, SqliteError } = require('../lib/sqlite-api.cjs');
 const { join } = require('path');
 const assert = require('assert');
 
@@ -96,6 +96,8 @@ async function runTests() {
                 assert.ok(error.message.includes('file is not a database') ||
                          error.message.includes('encrypted') ||
                          error.message.includes('SQLite error'));
+                assert.strictEqual(error.code, 'SQLITE_NOTADB');
+                assert.strictEqual(error.errno, 26);
             }
         });
     }
@@ -153,6 +155,289 @@ async function runTests() {
         db_new.close();
     }
 
+    // Test 5: Wrong key detected at open time
+    console.log('\nTest 5: Wrong key detected at open time');
+    {
+        const db = sqlite.open('/test-wrong-key.db', 'right-key');
+        db.exec('CREATE TABLE t (v TEXT)');
+        db.close();
+
+        test('open() rejects a wrong key immediately', () => {
+            assert.throws(
+                () => sqlite.open('/test-wrong-key.db', 'wrong-key'),
+                (error) => error instanceof WrongKeyError &&
+                    error instanceof SqliteError &&
+                    error.code === 'SQLITE_NOTADB'
+            );
+        });
+
+        test('open() accepts the right key after a failed attempt', () => {
+            const reopened = sqlite.open('/test-wrong-key.db', 'right-key');
+            assert.strictEqual(reopened.query('SELECT count(*) AS n FROM t')[0].n, 0);
+            reopened.close();
+        });
+
+        test('open() rejects a key for a plaintext database', () => {
+            const plain = sqlite.open('/test-plain.db');
+            plain.exec('CREATE TABLE t (v TEXT)');
+            plain.close();
+            assert.throws(() => sqlite.open('/test-plain.db', 'some-key'), WrongKeyError);
+        });
+    }
+
+    // Test 6: Raw binary keys
+    console.log('\nTest 6: Raw binary keys');
+    {
+        const rawKey = new Uint8Array(32).map((_, i) => i * 7 + 1);
+        const hexKey = Buffer.from(rawKey).toString('hex');
+
+        const db1 = sqlite.open('/test-raw-key.db', rawKey);
+        db1.exec('CREATE TABLE data (value TEXT)');
+        db1.exec("INSERT INTO data VALUES ('raw')");
+        db1.close();
+
+        test('Reopen with the same raw key', () => {
+            const db = sqlite.open('/test-raw-key.db', { key: rawKey });
+            assert.strictEqual(db.query('SELECT value FROM data')[0].value, 'raw');
+            db.close();
+        });
+
+        test('Raw key matches PRAGMA key with a blob literal', () => {
+            const db = sqlite.open('/test-raw-key.db');
+            db.exec(`PRAGMA key = "x'${hexKey}'"`);
+            assert.strictEqual(db.query('SELECT value FROM data')[0].value, 'raw');
+            db.close();
+        });
+
+        test('Raw key is not accepted as a passphrase', () => {
+            assert.throws(() => sqlite.open('/test-raw-key.db', hexKey), WrongKeyError);
+        });
+
+        test('Raw key with explicit salt', () => {
+            const saltDb = sqlite.open('/test-raw-key.db');
+            saltDb.setKey(rawKey);
+            const salt = saltDb.query('PRAGMA cipher_salt')[0].cipher_salt;
+            saltDb.close();
+
+            const keyWithSalt = new Uint8Array(48);
+            keyWithSalt.set(rawKey);
+            keyWithSalt.set(Buffer.from(salt, 'hex'), 32);
+            const db = sqlite.open('/test-raw-key.db', keyWithSalt);
+            assert.strictEqual(db.query('SELECT value FROM data')[0].value, 'raw');
+            db.close();
+        });
+
+        test('Raw keys must be 32 or 48 bytes', () => {
+            assert.throws(() => sqlite.open('/test-raw-key.db', new Uint8Array(16)), RangeError);
+        });
+
+        test('Rekey from a passphrase to a raw key', () => {
+            const db = sqlite.open('/test-rekey-raw.db', 'passphrase');
+            db.exec('CREATE TABLE data (value TEXT)');
+            db.rekey(rawKey);
+            db.close();
+
+            assert.throws(() => sqlite.open('/test-rekey-raw.db', 'passphrase'), WrongKeyError);
+            const reopened = sqlite.open('/test-rekey-raw.db', rawKey);
+            assert.strictEqual(reopened.query('SELECT count(*) AS n FROM data')[0].n, 0);
+            reopened.close();
+        });
+    }
+
+    // Test 7: Cipher settings
+    console.log('\nTest 7: Cipher settings');
+    {
+        test('Default settings are SQLCipher 4 defaults', () => {
+            const db = sqlite.open('/test-cipher-defaults.db', 'password');
+            const settings = db.getCipherSettings();
+            assert.ok(settings.version.startsWith('4.'));
+            assert.strictEqual(settings.pageSize, 4096);
+            assert.strictEqual(settings.kdfIter, 256000);
+            assert.strictEqual(settings.hmacAlgorithm, 'HMAC_SHA512');
+            assert.strictEqual(settings.kdfAlgorithm, 'PBKDF2_HMAC_SHA512');
+            assert.strictEqual(settings.plaintextHeaderSize, 0);
+            db.close();
+        });
+
+        test('SQLCipher 3 compatibility round-trips', () => {
+            const cipher = { compatibility: 3 };
+            const db = sqlite.open('/test-cipher-v3.db', { key: 'password', cipher });
+            const settings = db.getCipherSettings();
+            assert.strictEqual(settings.pageSize, 1024);
+            assert.strictEqual(settings.kdfIter, 64000);
+            assert.strictEqual(settings.hmacAlgorithm, 'HMAC_SHA1');
+            db.exec('CREATE TABLE t (v TEXT)');
+            db.close();
+
+            assert.throws(() => sqlite.open('/test-cipher-v3.db', 'password'), WrongKeyError);
+            const reopened = sqlite.open('/test-cipher-v3.db', { key: 'password', cipher });
+            assert.strictEqual(reopened.query('SELECT count(*) AS n FROM t')[0].n, 0);
+            reopened.close();
+        });
+
+        test('Individual settings are applied after compatibility', () => {
+            const cipher = { compatibility: 4, kdfIter: 10000, pageSize: 8192, hmacAlgorithm: 'HMAC_SHA256' };
+            const db = sqlite.open('/test-cipher-custom.db', { key: 'password', cipher });
+            const settings = db.getCipherSettings();
+            assert.strictEqual(settings.kdfIter, 10000);
+            assert.strictEqual(settings.pageSize, 8192);
+            assert.strictEqual(settings.hmacAlgorithm, 'HMAC_SHA256');
+            db.close();
+        });
+
+        test('Invalid cipher settings are rejected', () => {
+            assert.throws(() => sqlite.open('/test-cipher-bad.db', { key: 'k', cipher: { pageSize: 1000 } }), RangeError);
+            assert.throws(() => sqlite.open('/test-cipher-bad.db', { key: 'k', cipher: { kdfIter: '1; DROP TABLE t' } }), RangeError);
+            assert.throws(() => sqlite.open('/test-cipher-bad.db', { key: 'k', cipher: { cipherMode: 'CTR' } }), /Unknown cipher setting/);
+            assert.throws(() => sqlite.open('/test-cipher-bad.db', { cipher: { compatibility: 3 } }), /require an encryption key/);
+            assert.throws(() => sqlite.open('/test-cipher-bad.db', { key: 'k', migrate: true, cipher: { kdfIter: 1 } }), /cannot be combined/);
+        });
+    }
+
+    // Test 8: Migrating SQLCipher 3 databases
+    console.log('\nTest 8: Migrating SQLCipher 3 databases');
+    {
+        const legacy = sqlite.open('/test-migrate.db', { key: 'password', cipher: { compatibility: 3 } });
+        legacy.exec("CREATE TABLE t (v TEXT); INSERT INTO t VALUES ('legacy')");
+        legacy.close();
+
+        test('open() with migrate upgrades the database', () => {
+            const db = sqlite.open('/test-migrate.db', { key: 'password', migrate: true });
+            assert.strictEqual(db.query('SELECT v FROM t')[0].v, 'legacy');
+            assert.strictEqual(db.getCipherSettings().kdfIter, 256000);
+            db.close();
+        });
+
+        test('Migrated database opens with current defaults', () => {
+            const db = sqlite.open('/test-migrate.db', 'password');
+            assert.strictEqual(db.query('SELECT v FROM t')[0].v, 'legacy');
+            db.close();
+        });
+
+        test('migrateCipher() leaves a current database unchanged', () => {
+            const db = sqlite.open('/test-migrate.db');
+            db.setKey('password');
+            assert.strictEqual(db.migrateCipher(), 0);
+            assert.strictEqual(db.query('SELECT v FROM t')[0].v, 'legacy');
+            db.close();
+        });
+
+        test('Migration with a wrong key fails', () => {
+            assert.throws(
+                () => sqlite.open('/test-migrate.db', { key: 'wrong', migrate: true }),
+                (error) => error instanceof SqliteError
+            );
+        });
+    }
+
+    // Test 9: Exporting between plaintext and encrypted databases
+    console.log('\nTest 9: Exporting between plaintext and encrypted databases');
+    {
+        const FS = sqlite.module.FS;
+        const header = (path) => Buffer.from(FS.readFile(path).subarray(0, 16)).toString('latin1');
+        const PLAINTEXT_HEADER = 'SQLite format 3\0';
+        const key = "it's a \"quoted\" key";
+
+        const plain = sqlite.open('/export-plain.db');
+        plain.exec("CREATE TABLE t (id INTEGER PRIMARY KEY, v TEXT); INSERT INTO t (v) VALUES ('one'), ('two')");
+        plain.exec('CREATE INDEX idx_t_v ON t (v)');
+        plain.close();
+
+        test('encryptDatabase() writes an encrypted copy', () => {
+            sqlite.encryptDatabase('/export-plain.db', '/export-enc.db', key);
+            assert.notStrictEqual(header('/export-enc.db'), PLAINTEXT_HEADER);
+
+            const db = sqlite.open('/export-enc.db', key);
+            assert.deepStrictEqual(db.query('SELECT v FROM t ORDER BY id').map((r) => r.v), ['one', 'two']);
+            assert.strictEqual(db.query("SELECT name FROM sqlite_master WHERE name = 'idx_t_v'").length, 1);
+            db.close();
+
+            assert.throws(() => sqlite.open('/export-enc.db', 'wrong'), WrongKeyError);
+        });
+
+        test('decryptDatabase() writes a plaintext copy', () => {
+            sqlite.decryptDatabase('/export-enc.db', '/export-dec.db', key);
+            assert.strictEqual(header('/export-dec.db'), PLAINTEXT_HEADER);
+
+            const db = sqlite.open('/export-dec.db');
+            assert.deepStrictEqual(db.query('SELECT v FROM t ORDER BY id').map((r) => r.v), ['one', 'two']);
+            db.close();
+        });
+
+        test('exportTo() re-encrypts with a raw key and cipher settings', () => {
+            const rawKey = new Uint8Array(32).fill(7);
+            const db = sqlite.open('/export-enc.db', key);
+            db.exportTo('/export-raw.db', { key: rawKey, cipher: { compatibility: 3 } });
+            db.close();
+
+            assert.throws(() => sqlite.open('/export-raw.db', rawKey), WrongKeyError);
+            const copy = sqlite.open('/export-raw.db', { key: rawKey, cipher: { compatibility: 3 } });
+            assert.strictEqual(copy.query('SELECT count(*) AS n FROM t')[0].n, 2);
+            copy.close();
+        });
+
+        test('Failed export detaches and removes the destination', () => {
+            const db = sqlite.open('/export-plain.db');
+            assert.throws(() => db.exportTo('/export-failed.db', { key, cipher: { kdfIter: -1 } }), RangeError);
+            assert.strictEqual(FS.analyzePath('/export-failed.db').exists, false);
+            assert.deepStrictEqual(db.query('PRAGMA database_list').map((r) => r.name), ['main']);
+
+            // The connection is still usable for a later export
+            db.exportTo('/export-failed.db', key);
+            db.close();
+            const copy = sqlite.open('/export-failed.db', key);
+            assert.strictEqual(copy.query('SELECT count(*) AS n FROM t')[0].n, 2);
+            copy.close();
+        });
+
+        test('Export helpers require a key', () => {
+            assert.throws(() => sqlite.encryptDatabase('/export-plain.db', '/export-none.db', ''), /requires/);
+            const db = sqlite.open('/export-plain.db');
+            assert.throws(() => db.exportTo('/export-none.db', { cipher: { kdfIter: 1 } }), /require an encryption key/);
+            db.close();
+        });
+    }
+
+    // Test 10: Encrypted databases as bytes
+    console.log('\nTest 10: Encrypted databases as bytes');
+    {
+        const db = sqlite.open('/bytes-source.db', 'bytes-password');
+        db.exec("CREATE TABLE t (v TEXT); INSERT INTO t VALUES ('shipped')");
+        const bytes = db.toBytes();
+        db.close();
+
+        test('toBytes() returns the encrypted file', () => {
+            assert.notStrictEqual(Buffer.from(bytes.subarray(0, 15)).toString(), 'SQLite format 3');
+            assert.deepStrictEqual(bytes, sqlite.module.FS.readFile('/bytes-source.db'));
+        });
+
+        test('openFromBytes() opens an encrypted image with its key', () => {
+            const copy = sqlite.openFromBytes(bytes, 'bytes-password');
+            assert.strictEqual(copy.query('SELECT v FROM t')[0].v, 'shipped');
+            copy.exec("INSERT INTO t VALUES ('changed')");
+            const changed = copy.toBytes();
+            copy.close();
+
+            const again = sqlite.openFromBytes(changed, { key: 'bytes-password' });
+            assert.strictEqual(again.query('SELECT count(*) AS n FROM t')[0].n, 2);
+            again.close();
+        });
+
+        test('openFromBytes() rejects a wrong key and cleans up', () => {
+            const before = sqlite.module.FS.readdir('/tmp').length;
+            assert.throws(() => sqlite.openFromBytes(bytes, 'wrong'), WrongKeyError);
+            assert.strictEqual(sqlite.module.FS.readdir('/tmp').length, before);
+        });
+
+        test('toBytes() refuses to run inside a transaction', () => {
+            const copy = sqlite.openFromBytes(bytes, 'bytes-password');
+            copy.exec('BEGIN');
+            assert.throws(() => copy.toBytes(), /transaction/);
+            copy.exec('ROLLBACK');
+            copy.close();
+        });
+    }
+
     // Summary
     console.log('\n====================');
     console.log(`Tests passed: ${testsPassed}`);
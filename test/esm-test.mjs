@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * ES Module Test Suite
+ * Tests the ES module entry points, the package exports map, and initSQLite()
+ * with MODULARIZE / EXPORT_ES6 style module factories
+ */
+
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import assert from 'assert';
+import * as esm from '../lib/sqlite-api.mjs';
+
+const require = createRequire(import.meta.url);
+const cjs = require('../lib/sqlite-api.cjs');
+const { SQLiteWorker } = require('../lib/worker.cjs');
+const modulePath = fileURLToPath(new URL('../dist/sqlcipher.js', import.meta.url));
+// The -sMODULARIZE -sEXPORT_ES6 build loaded by the browser bundle
+const es6ModulePath = fileURLToPath(new URL('../dist/sqlcipher-es6.mjs', import.meta.url));
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+function assertWorks(sqlite) {
+    const db = sqlite.open(':memory:');
+    db.exec('CREATE TABLE t (v TEXT)');
+    db.exec('INSERT INTO t VALUES (?)', ['esm']);
+    assert.deepStrictEqual(db.query('SELECT v FROM t'), [{ v: 'esm' }]);
+    db.close();
+}
+
+/**
+ * Start dist/worker-thread.mjs as a browser would: in a worker whose `self`
+ * has postMessage() and addEventListener(), behind the Web Worker interface
+ */
+function startWebWorker() {
+    const bundleUrl = new URL('../dist/worker-thread.mjs', import.meta.url);
+    const shim = [
+        "import { parentPort } from 'worker_threads';",
+        'globalThis.self = {',
+        '    postMessage: (message, transfer) => parentPort.postMessage(message, transfer),',
+        "    addEventListener: (type, listener) => parentPort.on('message', (data) => listener({ data }))",
+        '};',
+        `await import(${JSON.stringify(bundleUrl.href)});`
+    ].join('\n');
+    const worker = new Worker(new URL(`data:text/javascript,${encodeURIComponent(shim)}`));
+    return {
+        postMessage: (message, transfer) => worker.postMessage(message, transfer),
+        addEventListener: (type, listener) => {
+            if (type === 'message') {
+                worker.on('message', (data) => listener({ data }));
+            } else {
+                worker.on('error', (error) => listener({ message: error.message, preventDefault() {} }));
+            }
+        },
+        terminate: () => worker.terminate()
+    };
+}
+
+async function runTests() {
+    console.log('ES Module Test Suite');
+    console.log('====================\n');
+
+    // Test 1: Node.js entry point
+    console.log('Test 1: Node.js entry point');
+    {
+        await test('Exports are the CommonJS classes', () => {
+            for (const name of Object.keys(cjs)) {
+                if (name !== 'initSQLite') {
+                    assert.strictEqual(esm[name], cjs[name], `${name} should be shared`);
+                }
+            }
+        });
+
+        await test('initSQLite() loads dist/sqlcipher.js by default', async () => {
+            const sqlite = await esm.initSQLite();
+            assert.ok(sqlite instanceof cjs.SQLiteAPI);
+            assertWorks(sqlite);
+        });
+
+        await test('initSQLite() accepts an absolute path or a URL', async () => {
+            assertWorks(await esm.initSQLite(modulePath));
+            assertWorks(await esm.initSQLite(new URL('../dist/sqlcipher.js', import.meta.url)));
+        });
+
+        await test('The package exports map resolves to the entry points', async () => {
+            const imported = await import('@7mind.io/sqlcipher-wasm');
+            assert.strictEqual(imported.initSQLite, esm.initSQLite);
+            assert.strictEqual(require('@7mind.io/sqlcipher-wasm'), cjs);
+            const { initSQLiteWorker } = await import('@7mind.io/sqlcipher-wasm/worker');
+            assert.strictEqual(typeof initSQLiteWorker, 'function');
+        });
+    }
+
+    // Test 2: Module factories
+    console.log('\nTest 2: Module factories');
+    {
+        const wasmModule = require(modulePath);
+        // Stands in for MODULARIZE output: a factory resolving once the runtime is ready
+        const factory = () => cjs.initSQLite(wasmModule).then((sqlite) => sqlite.module);
+
+        await test('A MODULARIZE factory is called and awaited', async () => {
+            assertWorks(await cjs.initSQLite(factory));
+        });
+
+        await test('An EXPORT_ES6 build is loaded through its default export', async () => {
+            const namespace = await import(es6ModulePath);
+            assert.strictEqual(typeof namespace.default, 'function', 'The build should export its factory');
+            assertWorks(await esm.initSQLite(es6ModulePath));
+            assertWorks(await cjs.initSQLite(namespace));
+        });
+
+        await test('Anything else is rejected', async () => {
+            await assert.rejects(cjs.initSQLite(42), TypeError);
+        });
+    }
+
+    // Test 3: Browser bundle
+    console.log('\nTest 3: Browser bundles (dist/sqlite-api.mjs, dist/worker-thread.mjs)');
+    {
+        await test('The bundle is a self-contained ES module', async () => {
+            const bundle = await import('../dist/sqlite-api.mjs');
+            assert.deepStrictEqual(Object.keys(bundle).sort(), Object.keys(cjs).sort());
+        });
+
+        await test('The bundle loads the EXPORT_ES6 build by default', async () => {
+            const bundle = await import('../dist/sqlite-api.mjs');
+            const sqlite = await bundle.initSQLite();
+            assert.ok(sqlite instanceof bundle.SQLiteAPI);
+            // A fresh module from the factory, not the classic build's shared Module
+            assert.notStrictEqual(sqlite.module, require(modulePath));
+            assertWorks(sqlite);
+        });
+
+        await test('dist/worker-thread.mjs serves initSQLiteWorker() clients as a Web Worker', async () => {
+            const client = new SQLiteWorker(startWebWorker());
+            try {
+                // What initSQLiteWorker() sends first; the bundle loads the EXPORT_ES6 build
+                await client.request(0, 'init', []);
+                const db = await client.open(':memory:');
+                await db.exec('CREATE TABLE t (v TEXT)');
+                await db.exec('INSERT INTO t VALUES (?)', ['worker']);
+                assert.deepStrictEqual(await db.query('SELECT v FROM t'), [{ v: 'worker' }]);
+                await db.close();
+            } finally {
+                await client.terminate();
+            }
+        });
+    }
+
+    // Summary
+    console.log('\n====================');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+});
@@ -7,6 +7,9 @@
  */
 
 const { join } = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
 const { initSQLite } = require('../lib/sqlite-api.cjs');
 
 // Colors
@@ -77,7 +80,7 @@ async function main() {
         const products = db.query('SELECT * FROM products ORDER BY category, name');
         log(`   ✓ Found ${products.length} products:`, 'green');
         products.forEach(p => {
-            const stock = p.in_stock === '1' ? '✓' : '✗';
+            const stock = p.in_stock === 1 ? '✓' : '✗';
             console.log(`     [${stock}] ${p.name} - $${p.price} (${p.category})`);
         });
         console.log();
@@ -152,6 +155,101 @@ async function main() {
         log('   ✓ All database connections closed', 'green');
         console.log();
 
+        // Open flags
+        log('13. Testing read-only, no-create and URI opens...', 'cyan');
+        const readonlyDb = sqlite.open(dbPath, { readonly: true });
+        const readonlyCount = readonlyDb.query('SELECT COUNT(*) as count FROM products')[0].count;
+        let readonlyError = null;
+        try {
+            readonlyDb.exec("DELETE FROM products");
+        } catch (e) {
+            readonlyError = e;
+        }
+        readonlyDb.close();
+        if (!readonlyError || readonlyError.code !== 'SQLITE_READONLY') {
+            throw new Error('Writing to a read-only database should fail with SQLITE_READONLY');
+        }
+
+        let missingError = null;
+        try {
+            sqlite.open('/no-such-file.db', { create: false });
+        } catch (e) {
+            missingError = e;
+        }
+        if (!missingError || missingError.code !== 'SQLITE_CANTOPEN') {
+            throw new Error('Opening a missing file without create should fail with SQLITE_CANTOPEN');
+        }
+        if (sqlite.module.FS.analyzePath('/no-such-file.db').exists) {
+            throw new Error('A missing file should not be created');
+        }
+
+        const uriDb = sqlite.open(`file:${dbPath}?mode=ro`);
+        const uriCount = uriDb.query('SELECT COUNT(*) as count FROM products')[0].count;
+        let uriError = null;
+        try {
+            uriDb.exec("DELETE FROM products");
+        } catch (e) {
+            uriError = e;
+        }
+        uriDb.close();
+        if (uriCount !== readonlyCount || !uriError || uriError.code !== 'SQLITE_READONLY') {
+            throw new Error('file: URI with mode=ro should open read-only');
+        }
+        log(`   ✓ Read ${readonlyCount} products read-only, writes rejected`, 'green');
+        log('   ✓ Missing file not created with create: false', 'green');
+        log('   ✓ file: URI with mode=ro opened read-only', 'green');
+        console.log();
+
+        // Mount a host directory for real on-disk persistence
+        log('14. Mounting a host directory with NODEFS...', 'cyan');
+        const hostDir = fs.mkdtempSync(join(os.tmpdir(), 'sqlcipher-wasm-'));
+        try {
+            sqlite.mountHostDirectory('/data', hostDir);
+            log(`   ✓ Mounted ${hostDir} at /data`, 'green');
+            console.log();
+
+            log('15. Writing an encrypted database to disk...', 'cyan');
+            const diskDb = sqlite.open('/data/app.db', 'disk-password');
+            diskDb.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+            diskDb.exec("INSERT INTO notes (body) VALUES ('persisted'), ('on disk')");
+            diskDb.close();
+            const hostFile = join(hostDir, 'app.db');
+            const header = fs.readFileSync(hostFile).subarray(0, 15).toString();
+            if (header === 'SQLite format 3') {
+                throw new Error('Database on disk should be encrypted');
+            }
+            log(`   ✓ ${hostFile} written (${fs.statSync(hostFile).size} bytes, encrypted)`, 'green');
+            console.log();
+
+            log('16. Remounting and reopening from disk...', 'cyan');
+            sqlite.unmountHostDirectory('/data');
+            sqlite.mountHostDirectory('/data', hostDir);
+            const reopened = sqlite.open('/data/app.db', 'disk-password');
+            const notes = reopened.query('SELECT body FROM notes ORDER BY id');
+            reopened.close();
+            if (notes.length !== 2 || notes[0].body !== 'persisted') {
+                throw new Error('Data should be read back from the host file');
+            }
+            log(`   ✓ Read ${notes.length} notes back from the host file`, 'green');
+
+            // Native sqlcipher can read the same file when it is installed
+            const native = spawnSync('sqlcipher', [hostFile], {
+                input: "PRAGMA key = 'disk-password';\nSELECT count(*) FROM notes;\n",
+                encoding: 'utf8'
+            });
+            if (native.error) {
+                log('   - Native sqlcipher not found, skipping interop check', 'cyan');
+            } else if (native.stdout.trim().split('\n').pop() !== '2') {
+                throw new Error(`Native sqlcipher could not read the file: ${native.stderr}`);
+            } else {
+                log('   ✓ Native sqlcipher reads the same file', 'green');
+            }
+            sqlite.unmountHostDirectory('/data');
+            console.log();
+        } finally {
+            fs.rmSync(hostDir, { recursive: true, force: true });
+        }
+
         // Success
         log('═══════════════════════════════════════════════════════════', 'bright');
         log('✓ File-based database test passed!', 'green');
@@ -164,9 +262,10 @@ async function main() {
         console.log('  ✓ Data persists across connections (same session)');
         console.log('  ✓ Update persisted data');
         console.log('  ✓ Multiple simultaneous connections');
+        console.log('  ✓ Read-only, no-create and URI filename opens');
+        console.log('  ✓ Encrypted database persisted to a NODEFS-mounted host directory');
         console.log();
-        log('Note: Uses Emscripten virtual FS (MEMFS) - data is in-memory', 'cyan');
-        log('For real disk persistence, mount IDBFS or NODEFS', 'cyan');
+        log('Note: Paths outside a mounted directory use MEMFS and are in-memory', 'cyan');
         console.log();
 
     } catch (error) {
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * Persistence Test Suite
+ * Tests the IndexedDB and OPFS persistence backends against in-process shims
+ * (fake-indexeddb, and a minimal OPFS implementation below)
+ */
+
+const { initSQLite, WrongKeyError, IndexedDBPersistence, OPFSPersistence } = require('../lib/sqlite-api.cjs');
+const { IDBFactory } = require('fake-indexeddb');
+const { join } = require('path');
+const assert = require('assert');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+/**
+ * Minimal Origin Private File System: directory and file handles, with
+ * FileSystemSyncAccessHandle locking as in a dedicated worker
+ */
+class FakeSyncAccessHandle {
+    constructor(file) {
+        this.file = file;
+        file.locked = true;
+    }
+
+    getSize() {
+        return this.file.data.length;
+    }
+
+    read(buffer, { at }) {
+        const bytes = this.file.data.subarray(at, at + buffer.length);
+        buffer.set(bytes);
+        return bytes.length;
+    }
+
+    write(buffer, { at }) {
+        this.truncate(Math.max(this.file.data.length, at + buffer.length));
+        this.file.data.set(buffer, at);
+        return buffer.length;
+    }
+
+    truncate(size) {
+        const data = new Uint8Array(size);
+        data.set(this.file.data.subarray(0, size));
+        this.file.data = data;
+    }
+
+    flush() {}
+
+    close() {
+        this.file.locked = false;
+    }
+}
+
+class FakeFileHandle {
+    constructor() {
+        this.data = new Uint8Array(0);
+        this.locked = false;
+    }
+
+    async createSyncAccessHandle() {
+        if (this.locked) {
+            throw new Error('NoModificationAllowedError: file is locked');
+        }
+        return new FakeSyncAccessHandle(this);
+    }
+}
+
+class FakeDirectoryHandle {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async getEntry(name, create, Type) {
+        if (!this.entries.has(name)) {
+            if (!create) throw new Error(`NotFoundError: ${name}`);
+            this.entries.set(name, new Type());
+        }
+        return this.entries.get(name);
+    }
+
+    getDirectoryHandle(name, { create = false } = {}) {
+        return this.getEntry(name, create, FakeDirectoryHandle);
+    }
+
+    getFileHandle(name, { create = false } = {}) {
+        return this.getEntry(name, create, FakeFileHandle);
+    }
+}
+
+/**
+ * Stored bytes should be SQLCipher ciphertext, with no plaintext header or row data
+ */
+function assertCiphertext(bytes, secret) {
+    assert.ok(bytes && bytes.length > 0, 'Database should be stored');
+    const text = Buffer.from(bytes).toString('latin1');
+    assert.ok(!text.startsWith('SQLite format 3'), 'Stored bytes should not have a plaintext header');
+    assert.ok(!text.includes(secret), 'Stored bytes should not contain row data');
+}
+
+async function runTests() {
+    console.log('Persistence Test Suite');
+    console.log('======================\n');
+
+    const sqlite = await initSQLite(join(__dirname, '../dist/sqlcipher.js'));
+    const key = 'persist-password';
+    const secret = 'top secret row';
+
+    // Test 1: IndexedDB sync-on-commit
+    console.log('Test 1: IndexedDB sync-on-commit');
+    {
+        const indexedDB = new IDBFactory();
+        const backend = new IndexedDBPersistence({ indexedDB });
+        const stored = async (name) => {
+            const reader = new IndexedDBPersistence({ indexedDB });
+            const bytes = await reader.load(name);
+            await reader.close(name);
+            return bytes;
+        };
+
+        await test('A new database is stored on its first commit', async () => {
+            const db = await sqlite.open('/idb/app.db', { key, persistence: backend });
+            assert.strictEqual(await stored('/idb/app.db'), null);
+            db.exec('CREATE TABLE notes (body TEXT)');
+            db.prepare('INSERT INTO notes VALUES (?)').run([secret]);
+            await db.sync();
+            assertCiphertext(await stored('/idb/app.db'), secret);
+            await db.close();
+        });
+
+        await test('Reopening loads the stored database', async () => {
+            const db = await sqlite.open('/idb/app.db', { key, persistence: backend });
+            assert.deepStrictEqual(db.query('SELECT body FROM notes'), [{ body: secret }]);
+            await db.close();
+        });
+
+        await test('Changes are stored when the transaction commits', async () => {
+            const db = await sqlite.open('/idb/app.db', { key, persistence: backend });
+            const before = await stored('/idb/app.db');
+            db.exec('BEGIN');
+            db.exec("INSERT INTO notes VALUES ('pending')");
+            await db.pendingSync;
+            assert.deepStrictEqual(await stored('/idb/app.db'), before, 'Nothing is stored mid-transaction');
+            db.exec('COMMIT');
+            await db.sync();
+            assert.notDeepStrictEqual(await stored('/idb/app.db'), before);
+            await db.close();
+
+            const reopened = await sqlite.open('/idb/app.db', { key, persistence: backend });
+            assert.strictEqual(reopened.query('SELECT count(*) AS n FROM notes')[0].n, 2);
+            await reopened.close();
+        });
+
+        await test('Wrong key is rejected and the name released', async () => {
+            await assert.rejects(sqlite.open('/idb/app.db', { key: 'wrong', persistence: backend }), WrongKeyError);
+            assert.strictEqual(sqlite.module.FS.analyzePath('/idb/app.db').exists, false);
+            const db = await sqlite.open('/idb/app.db', { key, persistence: backend });
+            await db.close();
+        });
+
+        await test('A database cannot be opened twice', async () => {
+            const db = await sqlite.open('/idb/app.db', { key, persistence: backend });
+            await assert.rejects(sqlite.open('/idb/app.db', { key, persistence: backend }), /already in use/);
+            await db.close();
+        });
+    }
+
+    // Test 2: OPFS
+    console.log('\nTest 2: OPFS');
+    {
+        const root = new FakeDirectoryHandle();
+        const backend = new OPFSPersistence({ getDirectory: async () => root });
+
+        await test('Database is written through a sync access handle', async () => {
+            const db = await sqlite.open('/data/app.db', { key, persistence: backend });
+            db.exec('CREATE TABLE notes (body TEXT)');
+            db.prepare('INSERT INTO notes VALUES (?)').run([secret]);
+            await db.sync();
+            const file = root.entries.get('data').entries.get('app.db');
+            assert.strictEqual(file.locked, true, 'The file is locked while open');
+            assertCiphertext(file.data, secret);
+            await db.close();
+            assert.strictEqual(file.locked, false, 'The lock is released on close');
+        });
+
+        await test('Reopening reads the OPFS file', async () => {
+            const db = await sqlite.open('/data/app.db', { key, persistence: backend });
+            assert.deepStrictEqual(db.query('SELECT body FROM notes'), [{ body: secret }]);
+            await db.close();
+        });
+
+        await test('A locked file cannot be opened by another backend', async () => {
+            const db = await sqlite.open('/data/app.db', { key, persistence: backend });
+            const other = new OPFSPersistence({ getDirectory: async () => root });
+            await assert.rejects(other.load('/data/app.db'), /locked/);
+            await db.close();
+        });
+
+        await test("'opfs' needs navigator.storage", async () => {
+            await assert.rejects(sqlite.open('/data/app.db', { persistence: 'opfs' }), /not available/);
+        });
+    }
+
+    // Test 3: Custom backends
+    console.log('\nTest 3: Custom backends');
+    {
+        await test('Any object with load() and save() is a backend', async () => {
+            const files = new Map();
+            const backend = {
+                load: async (name) => files.get(name) || null,
+                save: (name, bytes) => { files.set(name, bytes); }
+            };
+            const db = await sqlite.open('/custom.db', { key, persistence: backend });
+            db.exec('CREATE TABLE t (v INTEGER); INSERT INTO t VALUES (1)');
+            await db.close();
+            assert.ok(files.get('/custom.db').length > 0);
+        });
+
+        await test('Failed saves are reported by sync()', async () => {
+            const backend = {
+                load: async () => null,
+                save: async () => { throw new Error('quota exceeded'); }
+            };
+            const db = await sqlite.open('/failing.db', { key, persistence: backend });
+            db.exec('CREATE TABLE t (v INTEGER)');
+            await assert.rejects(db.sync(), /quota exceeded/);
+            await db.sync();
+            await db.close();
+        });
+
+        await test('Autocommit writes during a save share the next snapshot', async () => {
+            const saved = [];
+            const backend = {
+                load: async () => null,
+                save: (name, bytes) => new Promise((resolve) => {
+                    setTimeout(() => { saved.push(bytes); resolve(); }, 10);
+                })
+            };
+            const db = await sqlite.open('/batched.db', { key, persistence: backend });
+            db.exec('CREATE TABLE t (v INTEGER)');
+            const insert = db.prepare('INSERT INTO t VALUES (?)');
+            for (let i = 0; i < 1000; i++) {
+                insert.run([i]);
+            }
+            await db.sync();
+            assert.ok(saved.length <= 2, `Expected at most 2 saves, got ${saved.length}`);
+
+            const copy = sqlite.openFromBytes(saved[saved.length - 1], key);
+            assert.strictEqual(copy.query('SELECT count(*) AS n FROM t')[0].n, 1000);
+            copy.close();
+            await db.close();
+        });
+
+        await test('Closing saves commits made while a save was in flight', async () => {
+            let stored = null;
+            const backend = {
+                load: async () => null,
+                save: (name, bytes) => new Promise((resolve) => {
+                    setTimeout(() => { stored = bytes; resolve(); }, 10);
+                })
+            };
+            const db = await sqlite.open('/closing.db', { key, persistence: backend });
+            db.exec('CREATE TABLE t (v INTEGER)');
+            db.exec('INSERT INTO t VALUES (1)');
+            await db.close();
+
+            const copy = sqlite.openFromBytes(stored, key);
+            assert.strictEqual(copy.query('SELECT count(*) AS n FROM t')[0].n, 1);
+            copy.close();
+        });
+
+        await test('Invalid persistence options are rejected', async () => {
+            await assert.rejects(sqlite.open(':memory:', { persistence: 'indexeddb' }), /cannot be persisted/);
+            await assert.rejects(sqlite.open('/x.db', { persistence: 'localStorage' }), TypeError);
+        });
+    }
+
+    // Summary
+    console.log('\n======================');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+});
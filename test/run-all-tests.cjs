@@ -41,6 +41,31 @@ const testSuites = [
         file: 'test/encryption-test.cjs',
         description: 'Encryption, re-keying, and multi-db tests'
     },
+    {
+        name: 'Persistence Tests',
+        file: 'test/persistence-test.cjs',
+        description: 'IndexedDB and OPFS persistence backends'
+    },
+    {
+        name: 'VFS Tests',
+        file: 'test/vfs-test.cjs',
+        description: 'JavaScript VFS registration and MemoryVFS'
+    },
+    {
+        name: 'Worker Tests',
+        file: 'test/worker-test.cjs',
+        description: 'Promise API in a worker_threads Worker'
+    },
+    {
+        name: 'ES Module Tests',
+        file: 'test/esm-test.mjs',
+        description: 'ES module entry points, exports map and module factories'
+    },
+    {
+        name: 'Type Declaration Tests',
+        file: 'test/types-test.cjs',
+        description: 'TypeScript declarations compiled against usage examples'
+    },
     {
         name: 'Cross-Platform Tests',
         file: 'test/cross-platform-db-test.cjs',
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Type Declaration Test Suite
+ * Compiles the TypeScript usage in test/types/ against lib/*.d.ts, resolved
+ * through the package exports map as a TypeScript project would
+ */
+
+const { spawnSync } = require('child_process');
+const { join } = require('path');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+console.log('Type Declaration Test Suite');
+console.log('===========================\n');
+
+test('test/types compiles with tsc --strict', () => {
+    const tsc = join(__dirname, '..', 'node_modules', '.bin', 'tsc');
+    const result = spawnSync(tsc, ['-p', join(__dirname, 'types')], { encoding: 'utf8' });
+    if (result.error) {
+        throw new Error(`Could not run tsc (npm install first): ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+        throw new Error(`tsc reported errors:\n${result.stdout}${result.stderr}`);
+    }
+});
+
+// Summary
+console.log('\n===========================');
+console.log(`Tests passed: ${testsPassed}`);
+console.log(`Tests failed: ${testsFailed}`);
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
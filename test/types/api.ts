@@ -0,0 +1,146 @@
+/**
+ * Type-level checks of the rest of the API: inferred types are asserted with
+ * expectType(), and misuse that must not compile is marked @ts-expect-error
+ */
+
+import {
+    initSQLite,
+    MemoryVFS,
+    IndexedDBPersistence,
+    SqliteError,
+    WrongKeyError,
+    type SQLiteAPI,
+    type SQLiteDatabase,
+    type SQLiteValue,
+    type Statement,
+    type Row,
+    type RunResult
+} from '@7mind.io/sqlcipher-wasm';
+import { initSQLiteWorker, type WorkerDatabase } from '@7mind.io/sqlcipher-wasm/worker';
+
+/** expectType<T>()(value) compiles only when value's type is exactly T */
+declare function expectType<T>(): <V>(value: V & (Exact<T, V> extends true ? unknown : never)) => void;
+type Exact<A, B> = (<V>() => V extends A ? 1 : 2) extends (<V>() => V extends B ? 1 : 2) ? true : false;
+
+interface User {
+    id: number;
+    name: string;
+}
+
+async function api(sqlite: SQLiteAPI): Promise<void> {
+    // Opening: synchronous unless persisted
+    expectType<SQLiteDatabase>()(sqlite.open());
+    expectType<SQLiteDatabase>()(sqlite.open('/secret.db', 'passphrase'));
+    expectType<SQLiteDatabase>()(sqlite.open('/secret.db', new Uint8Array(32)));
+    expectType<SQLiteDatabase>()(sqlite.open('/old.db', { key: 'k', cipher: { compatibility: 3, kdfIter: 64000 } }));
+    expectType<SQLiteDatabase>()(sqlite.open('file:app.db?mode=ro', { readonly: true, create: false, uri: true }));
+    expectType<Promise<SQLiteDatabase>>()(sqlite.open('/app.db', { key: 'k', persistence: 'indexeddb' }));
+    expectType<Promise<SQLiteDatabase>>()(sqlite.open('/app.db', {
+        persistence: new IndexedDBPersistence({ databaseName: 'app' })
+    }));
+    // @ts-expect-error Unknown cipher algorithm
+    sqlite.open('/x.db', { key: 'k', cipher: { hmacAlgorithm: 'MD5' } });
+    // @ts-expect-error Keys are strings or bytes
+    sqlite.open('/x.db', { key: 42 });
+
+    sqlite.registerVFS(new MemoryVFS('mem'), { makeDefault: false });
+    expectType<SQLiteDatabase>()(sqlite.open('/vfs.db', { vfs: 'mem' }));
+    sqlite.unregisterVFS('mem');
+
+    const db = sqlite.open(':memory:');
+    expectType<RunResult>()(db.exec('INSERT INTO users (name) VALUES (?), (:name)', { name: 'x' }));
+    expectType<number | bigint>()(db.exec('DELETE FROM users').lastInsertRowid);
+    // @ts-expect-error Parameters are an array or an object
+    db.exec('SELECT ?', 1);
+
+    // Queries are typed by their type argument, or by the row mode
+    expectType<User[]>()(db.query<User>('SELECT id, name FROM users'));
+    expectType<Row[]>()(db.query('SELECT 1 AS one'));
+    expectType<SQLiteValue[][]>()(db.query('SELECT 1', [], { raw: true }));
+    expectType<[number, string][]>()(db.query<[number, string]>('SELECT id, name FROM users', undefined, { raw: true }));
+    for (const user of db.iterate<User>('SELECT * FROM users WHERE id > ?', [0])) {
+        expectType<User>()(user);
+    }
+
+    // Statements change type with their row mode
+    const stmt = db.prepare<User>('SELECT id, name FROM users WHERE id = ?');
+    expectType<Statement<User>>()(stmt);
+    expectType<User | undefined>()(stmt.get([1]));
+    expectType<User[]>()(stmt.all());
+    for (const user of stmt) {
+        expectType<User>()(user);
+    }
+    expectType<Statement<User>>()(stmt.bind([1]).reset().clearBindings());
+    expectType<number | undefined>()(stmt.pluck<number>().get([1]));
+    expectType<SQLiteValue[][]>()(stmt.raw().all([1]));
+    expectType<Row[]>()(stmt.raw(false).all([1]));
+    expectType<string | null>()(stmt.columns()[0].table);
+    expectType<RunResult>()(db.prepare('DELETE FROM users').run());
+    stmt.finalize();
+
+    // Functions, aggregates and collations
+    db.function('double', { deterministic: true }, (x: number) => x * 2)
+        .function('now', () => Date.now())
+        .aggregate('js_sum', {
+            start: 0,
+            step: (total, value) => total + Number(value),
+            inverse: (total, value) => total - Number(value)
+        })
+        .aggregate<string[]>('titles', {
+            start: () => [],
+            step: (titles, title) => { titles.push(String(title)); },
+            result: (titles) => titles.join(', ')
+        })
+        .collation('nocase_de', new Intl.Collator('de').compare);
+    // @ts-expect-error Aggregates need a step function
+    db.aggregate('broken', { start: 0 });
+
+    // Transactions keep the signature of the wrapped function
+    const insertMany = db.transaction((users: User[]) => {
+        for (const user of users) db.exec('INSERT INTO users VALUES (?, ?)', [user.id, user.name]);
+        return users.length;
+    });
+    expectType<number>()(insertMany([{ id: 1, name: 'a' }]));
+    expectType<number>()(insertMany.immediate([]));
+    // @ts-expect-error Wrong argument type
+    insertMany('a');
+    expectType<boolean>()(db.inTransaction);
+
+    // Encryption
+    db.rekey('new');
+    db.exportTo('/copy.db', { key: 'k', cipher: { pageSize: 4096 } });
+    expectType<Uint8Array>()(db.toBytes());
+    expectType<string>()(db.getCipherSettings().version);
+    expectType<SQLiteDatabase>()(sqlite.openFromBytes(db.toBytes(), 'k'));
+    sqlite.encryptDatabase('/plain.db', '/secret.db', 'k', { cipher: { compatibility: 4 } });
+
+    expectType<Promise<void> | undefined>()(db.close());
+
+    try {
+        sqlite.open('/secret.db', 'wrong');
+    } catch (e) {
+        if (e instanceof WrongKeyError) {
+            expectType<string>()(e.code);
+        } else if (e instanceof SqliteError) {
+            expectType<number>()(e.extendedErrno);
+        }
+    }
+}
+
+async function worker(): Promise<void> {
+    const sqlite = await initSQLiteWorker('/abs/dist/sqlcipher.js', { mounts: { '/data': './var' } });
+    const db = await sqlite.open(':memory:', { key: 'k' });
+    expectType<WorkerDatabase>()(db);
+    expectType<User[]>()(await db.query<User>('SELECT * FROM users'));
+    for await (const user of db.iterate<User>('SELECT * FROM users')) {
+        expectType<User>()(user);
+    }
+    const names = await (await db.prepare('SELECT name FROM users')).pluck<string>();
+    expectType<string | undefined>()(await names.get());
+    // @ts-expect-error Functions cannot be sent to a worker
+    await sqlite.open('/app.db', { persistence: { load: async () => null, save() {} } });
+    await db.close();
+    await sqlite.terminate();
+}
+
+initSQLite().then(api).then(worker);
@@ -0,0 +1,87 @@
+/**
+ * examples/example.cjs in TypeScript, type-checked against lib/sqlite-api.d.ts
+ * through the package's exports map
+ */
+
+import { join } from 'path';
+import { initSQLite } from '@7mind.io/sqlcipher-wasm';
+
+interface Book {
+    id: number;
+    title: string;
+    author: string;
+    year: number;
+    rating: number;
+}
+
+interface Stats {
+    total_books: number;
+    avg_rating: number;
+    newest_year: number;
+    oldest_year: number;
+}
+
+async function main(): Promise<void> {
+    console.log('SQLite WASM Example\n');
+
+    const sqlite = await initSQLite(join(__dirname, 'dist', 'sqlcipher.js'));
+    const db = sqlite.open(':memory:');
+
+    db.exec(`
+        CREATE TABLE books (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            author TEXT NOT NULL,
+            year INTEGER,
+            rating REAL
+        )
+    `);
+
+    db.exec(`
+        INSERT INTO books (title, author, year, rating) VALUES
+            ('1984', 'George Orwell', 1949, 4.5),
+            ('To Kill a Mockingbird', 'Harper Lee', 1960, 4.8),
+            ('The Great Gatsby', 'F. Scott Fitzgerald', 1925, 4.2),
+            ('Pride and Prejudice', 'Jane Austen', 1813, 4.6)
+    `);
+    const inserted: number = db.getChanges();
+    console.log(`Inserted ${inserted} books`);
+
+    const allBooks = db.query<Book>('SELECT * FROM books ORDER BY year');
+    allBooks.forEach((book) => {
+        console.log(`- "${book.title}" by ${book.author} (${book.year}) - Rating: ${book.rating}/5`);
+    });
+
+    const topBooks = db.query<Pick<Book, 'title' | 'author' | 'rating'>>(
+        'SELECT title, author, rating FROM books WHERE rating >= ? ORDER BY rating DESC',
+        [4.5]
+    );
+    topBooks.forEach((book) => {
+        console.log(`- "${book.title}" by ${book.author} - ${book.rating.toFixed(1)}/5`);
+    });
+
+    const stats = db.query<Stats>(`
+        SELECT
+            COUNT(*) as total_books,
+            AVG(rating) as avg_rating,
+            MAX(year) as newest_year,
+            MIN(year) as oldest_year
+        FROM books
+    `);
+    const s = stats[0];
+    console.log(`Total books: ${s.total_books}`);
+    console.log(`Average rating: ${s.avg_rating.toFixed(2)}/5`);
+    console.log(`Date range: ${s.oldest_year} - ${s.newest_year}`);
+
+    // Without a type argument, rows hold SQLite values
+    const untyped = db.query('SELECT title FROM books')[0];
+    const title: string | number | bigint | Uint8Array | null = untyped.title;
+    console.log(title);
+
+    db.close();
+}
+
+main().catch((error: Error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * VFS Test Suite
+ * Tests JavaScript VFS registration using the reference MemoryVFS
+ */
+
+const { initSQLite, MemoryVFS, SqliteError } = require('../lib/sqlite-api.cjs');
+const { join } = require('path');
+const assert = require('assert');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+/**
+ * MemoryVFS whose file writes can be made to fail
+ */
+class FailingVFS extends MemoryVFS {
+    constructor(name) {
+        super(name);
+        this.writeError = null;
+    }
+
+    xOpen(name, flags) {
+        const file = super.xOpen(name, flags);
+        const write = file.xWrite.bind(file);
+        file.xWrite = (buffer, offset) => {
+            if (this.writeError) throw this.writeError;
+            write(buffer, offset);
+        };
+        return file;
+    }
+}
+
+async function runTests() {
+    console.log('VFS Test Suite');
+    console.log('==============\n');
+
+    const sqlite = await initSQLite(join(__dirname, '../dist/sqlcipher.js'));
+
+    // Test 1: MemoryVFS
+    console.log('Test 1: MemoryVFS');
+    {
+        const vfs = new MemoryVFS('memory-map');
+        sqlite.registerVFS(vfs);
+
+        test('Database is stored in the VFS map', () => {
+            const db = sqlite.open('app.db', { vfs: 'memory-map' });
+            db.exec('CREATE TABLE t (id INTEGER PRIMARY KEY, v TEXT)');
+            db.transaction(() => {
+                const insert = db.prepare('INSERT INTO t (v) VALUES (?)');
+                for (let i = 0; i < 100; i++) insert.run([`row ${i}`]);
+                insert.finalize();
+            })();
+            db.close();
+
+            assert.deepStrictEqual([...vfs.files.keys()], ['app.db'], 'Journal should be deleted after commit');
+            const header = Buffer.from(vfs.getFile('app.db').subarray(0, 15)).toString();
+            assert.strictEqual(header, 'SQLite format 3');
+        });
+
+        test('Reopening reads from the VFS', () => {
+            const db = sqlite.open('app.db', { vfs: 'memory-map' });
+            assert.strictEqual(db.query('SELECT count(*) AS n FROM t')[0].n, 100);
+            assert.strictEqual(db.query('SELECT v FROM t WHERE id = 50')[0].v, 'row 49');
+            db.close();
+        });
+
+        test('Rolled back changes do not reach the file', () => {
+            const db = sqlite.open('app.db', { vfs: 'memory-map' });
+            db.exec('BEGIN');
+            db.exec('DELETE FROM t');
+            db.exec('ROLLBACK');
+            assert.strictEqual(db.query('SELECT count(*) AS n FROM t')[0].n, 100);
+            db.close();
+        });
+
+        test('toBytes() reads the file through the VFS', () => {
+            const db = sqlite.open('app.db', { vfs: 'memory-map' });
+            assert.deepStrictEqual(db.toBytes(), vfs.getFile('app.db'));
+            db.close();
+        });
+
+        test('Files are not visible to the default VFS', () => {
+            assert.strictEqual(sqlite.module.FS.analyzePath('/app.db').exists, false);
+        });
+
+        test('A VFS with open files cannot be unregistered', () => {
+            const db = sqlite.open('app.db', { vfs: 'memory-map' });
+            db.query('SELECT 1 FROM t LIMIT 1');
+            assert.throws(() => sqlite.unregisterVFS('memory-map'), /open file/);
+            db.close();
+            sqlite.unregisterVFS('memory-map');
+            assert.throws(() => sqlite.open('app.db', { vfs: 'memory-map' }), /no such vfs/);
+        });
+    }
+
+    // Test 2: Encrypted pages
+    console.log('\nTest 2: Encrypted pages');
+    {
+        const vfs = new MemoryVFS('memory-encrypted');
+
+        test('Only ciphertext reaches the VFS', () => {
+            const db = sqlite.open('secret.db', { key: 'vfs-password', vfs });
+            db.exec("CREATE TABLE t (v TEXT); INSERT INTO t VALUES ('plaintext marker')");
+            db.close();
+
+            const stored = Buffer.from(vfs.getFile('secret.db')).toString('latin1');
+            assert.ok(!stored.startsWith('SQLite format 3'));
+            assert.ok(!stored.includes('plaintext marker'));
+
+            const reopened = sqlite.open('secret.db', { key: 'vfs-password', vfs });
+            assert.strictEqual(reopened.query('SELECT v FROM t')[0].v, 'plaintext marker');
+            reopened.close();
+        });
+
+        sqlite.unregisterVFS('memory-encrypted');
+    }
+
+    // Test 3: Errors
+    console.log('\nTest 3: Errors');
+    {
+        const vfs = new FailingVFS('memory-failing');
+
+        test('Exceptions in VFS methods become I/O errors', () => {
+            const db = sqlite.open('fail.db', { vfs });
+            db.exec('CREATE TABLE t (v TEXT)');
+            vfs.writeError = new Error('disk on fire');
+            assert.throws(
+                () => db.exec("INSERT INTO t VALUES ('x')"),
+                (error) => error instanceof SqliteError && error.errno === 10
+            );
+            vfs.writeError = null;
+            db.close();
+        });
+
+        test('An extendedErrno on the exception is returned to SQLite', () => {
+            const db = sqlite.open('fail.db', { vfs });
+            vfs.writeError = Object.assign(new Error('quota'), { extendedErrno: 13 });
+            assert.throws(() => db.exec("INSERT INTO t VALUES ('x')"), (error) => error.code === 'SQLITE_FULL');
+            vfs.writeError = null;
+            db.exec("INSERT INTO t VALUES ('y')");
+            assert.deepStrictEqual(db.query('SELECT v FROM t'), [{ v: 'y' }]);
+            db.close();
+        });
+
+        test('Registration is validated', () => {
+            assert.throws(() => sqlite.registerVFS(vfs), /already registered/);
+            assert.throws(() => sqlite.open('x.db', { vfs: new MemoryVFS('memory-failing') }), /different VFS/);
+            assert.throws(() => sqlite.registerVFS({ name: 'no-open' }), TypeError);
+            assert.throws(() => sqlite.unregisterVFS('never-registered'), /not registered/);
+        });
+
+        sqlite.unregisterVFS('memory-failing');
+    }
+
+    // Summary
+    console.log('\n==============');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(error => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+});
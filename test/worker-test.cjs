@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Worker Test Suite
+ * Tests the promise API of initSQLiteWorker() running in a worker_threads Worker
+ */
+
+const { SqliteError, WrongKeyError } = require('../lib/sqlite-api.cjs');
+const { initSQLiteWorker } = require('../lib/worker.cjs');
+const { join } = require('path');
+const assert = require('assert');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        testsPassed++;
+    } catch (error) {
+        console.error(`✗ ${name}`);
+        console.error(`  Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
+async function runTests() {
+    console.log('Worker Test Suite');
+    console.log('=================\n');
+
+    const sqlite = await initSQLiteWorker(join(__dirname, '../dist/sqlcipher.js'));
+
+    // Test 1: Queries
+    console.log('Test 1: Queries');
+    {
+        const db = await sqlite.open(':memory:');
+
+        await test('exec() and query() run in the worker', async () => {
+            await db.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT, big INTEGER, data BLOB)');
+            await db.exec('INSERT INTO items (name, big, data) VALUES (?, ?, ?)', ['first', 2n ** 60n, new Uint8Array([1, 2, 3])]);
+            const rows = await db.query('SELECT name, big, data FROM items');
+            assert.strictEqual(rows.length, 1);
+            assert.strictEqual(rows[0].name, 'first');
+            assert.strictEqual(rows[0].big, 2n ** 60n);
+            assert.deepStrictEqual(Array.from(rows[0].data), [1, 2, 3]);
+            assert.strictEqual(await db.getLastInsertRowid(), 1);
+        });
+
+        await test('Concurrent requests get their own responses', async () => {
+            const results = await Promise.all([1, 2, 3, 4, 5].map((n) => db.query('SELECT ? * 10 AS v', [n])));
+            assert.deepStrictEqual(results.map((rows) => rows[0].v), [10, 20, 30, 40, 50]);
+        });
+
+        await test('The event loop keeps running during a slow query', async () => {
+            let ticks = 0;
+            const timer = setInterval(() => ticks++, 1);
+            await db.query('WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2000000) SELECT sum(i) AS s FROM n');
+            clearInterval(timer);
+            assert.ok(ticks > 0, 'Timers should fire while the worker is busy');
+        });
+
+        await test('Prepared statements are proxied', async () => {
+            const insert = await db.prepare('INSERT INTO items (name) VALUES (?)');
+            for (const name of ['second', 'third', 'fourth']) {
+                await insert.run([name]);
+            }
+            await insert.finalize();
+
+            const names = await db.prepare('SELECT name FROM items ORDER BY id');
+            assert.strictEqual(await (await names.pluck()).get(), 'first');
+            assert.deepStrictEqual(await (await names.raw()).all(), [['first'], ['second'], ['third'], ['fourth']]);
+            await names.finalize();
+            await assert.rejects(names.get(), /no longer open/);
+        });
+
+        await test('Rows can be iterated with for await...of', async () => {
+            let total = 0;
+            for await (const row of db.iterate('WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1000) SELECT i FROM n')) {
+                total += row.i;
+            }
+            assert.strictEqual(total, 500500);
+
+            const stmt = await db.prepare('SELECT name FROM items ORDER BY id');
+            for await (const row of stmt) {
+                assert.strictEqual(row.name, 'first');
+                break;
+            }
+            assert.deepStrictEqual(await stmt.get(), { name: 'first' }, 'Breaking out should reset the statement');
+            await stmt.finalize();
+        });
+
+        await test('toBytes() transfers the image to the main thread', async () => {
+            const bytes = await db.toBytes();
+            assert.ok(bytes instanceof Uint8Array);
+            assert.strictEqual(Buffer.from(bytes.subarray(0, 15)).toString(), 'SQLite format 3');
+            const copy = await sqlite.openFromBytes(bytes);
+            assert.strictEqual((await copy.query('SELECT count(*) AS n FROM items'))[0].n, 4);
+            await copy.close();
+        });
+
+        await db.close();
+    }
+
+    // Test 2: Errors
+    console.log('\nTest 2: Errors');
+    {
+        await test('SQL errors arrive as SqliteError', async () => {
+            const db = await sqlite.open(':memory:');
+            await db.exec('CREATE TABLE t (v TEXT UNIQUE)');
+            await db.exec("INSERT INTO t VALUES ('x')");
+            await assert.rejects(db.exec("INSERT INTO t VALUES ('x')"), (error) =>
+                error instanceof SqliteError &&
+                error.code === 'SQLITE_CONSTRAINT_UNIQUE' &&
+                error.sql === "INSERT INTO t VALUES ('x')"
+            );
+            await assert.rejects(db.query('SELECT * FROM missing'), /no such table/);
+            await db.close();
+            await assert.rejects(db.query('SELECT 1'), /no longer open/);
+        });
+
+        await test('A wrong key arrives as WrongKeyError', async () => {
+            const db = await sqlite.open('/worker-secret.db', { key: 'right' });
+            await db.exec('CREATE TABLE t (v)');
+            await db.close();
+            await assert.rejects(sqlite.open('/worker-secret.db', { key: 'wrong' }), WrongKeyError);
+        });
+
+        await test('Arguments that cannot be cloned are rejected', async () => {
+            await assert.rejects(sqlite.open(':memory:', { persistence: { load() {}, save() {} } }), /could not be cloned/);
+        });
+
+        await test('Methods outside the API are refused', async () => {
+            const db = await sqlite.open(':memory:');
+            await assert.rejects(db.client.call(db.handle, 'function', ['f']), /not available in a worker/);
+            await assert.rejects(db.client.call(db.handle, 'createError', ['x']), TypeError);
+            await db.close();
+        });
+
+        await test('Terminating rejects later calls', async () => {
+            const other = await initSQLiteWorker(join(__dirname, '../dist/sqlcipher.js'));
+            const db = await other.open(':memory:');
+            const pending = assert.rejects(db.query('SELECT 1'), /terminated/);
+            await other.terminate();
+            await pending;
+            await assert.rejects(db.query('SELECT 1'), /terminated/);
+        });
+
+        await test('A module that fails to load rejects initSQLiteWorker()', async () => {
+            await assert.rejects(initSQLiteWorker(join(__dirname, 'no-such-module.js')), /Cannot find module/);
+        });
+    }
+
+    await sqlite.terminate();
+
+    // Summary
+    console.log('\n=================');
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('Test suite failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Build dist/sqlite-api.mjs: the API as a single ES module, for browsers and
+ * bundlers, from the CommonJS sources in lib/. Also builds
+ * dist/worker-thread.mjs, the worker side of initSQLiteWorker() as a module
+ * Web Worker script, which imports the API from dist/sqlite-api.mjs.
+ *
+ * Each source is wrapped in a function scope with its own module.exports, and
+ * require('./x.cjs') calls between them become references to those scopes.
+ * Node-only code paths (host directory mounts) keep their require() calls,
+ * which are never reached in a browser. initSQLite() loads the EXPORT_ES6
+ * build of the WASM module, dist/sqlcipher-es6.mjs, by default.
+ *
+ * Usage: node tools/build-esm.cjs [output directory, default dist/]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LIB_DIR = path.join(__dirname, '..', 'lib');
+// In dependency order
+const SOURCES = ['persistence.cjs', 'vfs.cjs', 'sqlite-api.cjs'];
+const OUTPUT_FILE = 'sqlite-api.mjs';
+const WORKER_FILE = 'worker-thread.mjs';
+
+function scopeName(file) {
+    return `__${path.basename(file, '.cjs').replace(/-/g, '_')}`;
+}
+
+/**
+ * @param {string} file - Source in lib/
+ * @param {string[]} available - Sources already in scope, which it may require
+ */
+function wrapSource(file, available) {
+    const source = fs.readFileSync(path.join(LIB_DIR, file), 'utf8')
+        .replace(/require\('\.\/([\w-]+\.cjs)'\)/g, (match, dependency) => {
+            if (!available.includes(dependency)) {
+                throw new Error(`${file} requires ${dependency}, which is not bundled before it`);
+            }
+            return scopeName(dependency);
+        });
+
+    return [
+        `// ${file}`,
+        `const ${scopeName(file)} = (() => {`,
+        'const module = { exports: {} };',
+        source.trimEnd(),
+        'return module.exports;',
+        '})();',
+        ''
+    ].join('\n');
+}
+
+function buildModule() {
+    const api = scopeName('sqlite-api.cjs');
+    const exportNames = Object.keys(require(path.join(LIB_DIR, 'sqlite-api.cjs')))
+        .filter((name) => name !== 'initSQLite');
+
+    return [
+        '// Generated by tools/build-esm.cjs from lib/*.cjs - do not edit',
+        '',
+        ...SOURCES.map((file, i) => wrapSource(file, SOURCES.slice(0, i))),
+        `export const {\n    ${exportNames.join(',\n    ')}\n} = ${api};`,
+        '',
+        '/**',
+        ' * Initialize the SQLite API from a WASM module',
+        ' * @param {string|URL|object|Function} [source=\'./sqlcipher-es6.mjs\'] - URL of an EXPORT_ES6',
+        ' *   Emscripten build, resolved relative to this file, or the module or its factory itself',
+        ' * @param {object} [options] - See initSQLite() in lib/sqlite-api.cjs',
+        ' */',
+        'export async function initSQLite(source = \'./sqlcipher-es6.mjs\', options) {',
+        '    if (typeof source === \'string\' || source instanceof URL) {',
+        '        source = await import(new URL(source, import.meta.url).href);',
+        '    }',
+        `    return ${api}.initSQLite(source, options);`,
+        '}',
+        ''
+    ].join('\n');
+}
+
+/**
+ * lib/worker-thread.cjs with the API imported from the bundle, so that the
+ * worker's initSQLite() loads the EXPORT_ES6 build too
+ */
+function buildWorker() {
+    return [
+        '// Generated by tools/build-esm.cjs from lib/*.cjs - do not edit',
+        '',
+        `import * as ${scopeName('sqlite-api.cjs')} from './${OUTPUT_FILE}';`,
+        '',
+        wrapSource('worker-thread.cjs', ['sqlite-api.cjs'])
+    ].join('\n');
+}
+
+const outputDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'dist'));
+fs.mkdirSync(outputDir, { recursive: true });
+for (const [file, build] of [[OUTPUT_FILE, buildModule], [WORKER_FILE, buildWorker]]) {
+    fs.writeFileSync(path.join(outputDir, file), build());
+    console.log(`Wrote ${path.join(outputDir, file)}`);
+}
@@ -7,6 +7,7 @@
 #include <sqlite3.h>
 #include <iostream>
 #include <cstring>
+#include <string>
 
 static int callback(void* data, int argc, char** argv, char** azColName) {
     for (int i = 0; i < argc; i++) {
@@ -16,12 +17,15 @@ static int callback(void* data, int argc, char** argv, char** azColName) {
     return 0;
 }
 
-int main() {
+/**
+ * Create and populate an encrypted database.
+ * compatibility selects the SQLCipher major version format (0 = library defaults).
+ */
+static int createDatabase(const char* dbPath, int compatibility) {
     sqlite3* db;
     char* errMsg = 0;
     int rc;
 
-    const char* dbPath = "/tmp/test-from-cpp.db";
     const char* encryptionKey = "test-encryption-key-123";
 
     std::cout << "Creating ENCRYPTED SQLCipher database: " << dbPath << std::endl;
@@ -38,14 +42,25 @@ int main() {
     std::cout << "✓ Database opened successfully" << std::endl;
 
     // Set encryption key (SQLCipher)
-    // Using native SQLCipher v3 defaults (SHA1, 64000 iterations)
     rc = sqlite3_exec(db, ("PRAGMA key = '" + std::string(encryptionKey) + "'").c_str(), nullptr, nullptr, &errMsg);
     if (rc != SQLITE_OK) {
         std::cerr << "Failed to set encryption key: " << errMsg << std::endl;
         sqlite3_free(errMsg);
         return 1;
     }
-    std::cout << "✓ Encryption key set (using SQLCipher v3 defaults)" << std::endl;
+    std::cout << "✓ Encryption key set" << std::endl;
+
+    // Optionally write an older on-disk format (e.g. SQLCipher 3 for migration tests)
+    if (compatibility > 0) {
+        std::string pragma = "PRAGMA cipher_compatibility = " + std::to_string(compatibility);
+        rc = sqlite3_exec(db, pragma.c_str(), nullptr, nullptr, &errMsg);
+        if (rc != SQLITE_OK) {
+            std::cerr << "Failed to set cipher compatibility: " << errMsg << std::endl;
+            sqlite3_free(errMsg);
+            return 1;
+        }
+        std::cout << "✓ Using SQLCipher " << compatibility << " compatibility" << std::endl;
+    }
 
     // Create table
     const char* createTableSQL = R"(
@@ -180,3 +195,14 @@ int main() {
 
     return 0;
 }
+
+int main() {
+    // Current SQLCipher format
+    if (createDatabase("/tmp/test-from-cpp.db", 0) != 0) {
+        return 1;
+    }
+
+    // Legacy SQLCipher 3 format, upgraded by the WASM side with cipher_migrate
+    std::cout << std::endl;
+    return createDatabase("/tmp/test-from-cpp-v3.db", 3);
+}
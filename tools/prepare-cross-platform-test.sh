@@ -47,11 +47,19 @@ fi
 
 DB_SIZE=$(stat -f%z "$DB_FILE" 2>/dev/null || stat -c%s "$DB_FILE" 2>/dev/null)
 echo -e "${GREEN}✓ Database file size: $DB_SIZE bytes${NC}"
+
+DB_V3_FILE="/tmp/test-from-cpp-v3.db"
+if [ ! -f "$DB_V3_FILE" ]; then
+    echo -e "${RED}✗ Database file not found: $DB_V3_FILE${NC}"
+    exit 1
+fi
+echo -e "${GREEN}✓ SQLCipher 3 database file found: $DB_V3_FILE${NC}"
 echo
 
 # Step 4: Encode database as base64
 echo -e "${BLUE}Step 3: Encoding database as base64...${NC}"
 BASE64_DATA=$(base64 < "$DB_FILE" | tr -d '\n')
+BASE64_V3_DATA=$(base64 < "$DB_V3_FILE" | tr -d '\n')
 BASE64_SIZE=${#BASE64_DATA}
 echo -e "${GREEN}✓ Encoded to base64 ($BASE64_SIZE characters)${NC}"
 echo
@@ -73,11 +81,14 @@ cat > test/cross-platform-db-test.cjs <<EOF
  * can be read and queried using our WebAssembly build.
  */
 
-const { initSQLite } = require('../lib/sqlite-api.cjs');
+const { initSQLite, WrongKeyError } = require('../lib/sqlite-api.cjs');
 
 // Database created by C++ program, encoded as base64
 const DATABASE_BASE64 = '${BASE64_DATA}';
 
+// Same database written in the SQLCipher 3 format, upgraded with cipher_migrate
+const DATABASE_V3_BASE64 = '${BASE64_V3_DATA}';
+
 // Colors for output
 const colors = {
     reset: '\x1b[0m',
@@ -257,6 +268,32 @@ async function main() {
         log('   ✓ Database closed', 'green');
         console.log();
 
+        // Upgrade the SQLCipher 3 database
+        log('14. Migrating SQLCipher 3 database...', 'cyan');
+        const v3Path = '/cpp-created-v3.db';
+        Module.FS.writeFile(v3Path, Buffer.from(DATABASE_V3_BASE64, 'base64'));
+        let rejected = false;
+        try {
+            sqlite.open(v3Path, 'test-encryption-key-123').close();
+        } catch (error) {
+            rejected = error instanceof WrongKeyError;
+        }
+        assert(rejected, 'SQLCipher 3 database should not open with v4 defaults');
+        log('   ✓ Legacy format rejected without migration', 'green');
+
+        const migrated = sqlite.open(v3Path, { key: 'test-encryption-key-123', migrate: true });
+        const migratedCount = migrated.query('SELECT COUNT(*) as count FROM employees')[0].count;
+        assert(migratedCount === 6, 'Migrated database should have 6 employees');
+        migrated.close();
+        log('   ✓ Migrated to the current format', 'green');
+
+        const reopened = sqlite.open(v3Path, 'test-encryption-key-123');
+        const reopenedCount = reopened.query('SELECT COUNT(*) as count FROM employees')[0].count;
+        assert(reopenedCount === 6, 'Reopened database should have 6 employees');
+        reopened.close();
+        log('   ✓ Reopened with current defaults', 'green');
+        console.log();
+
         // Success!
         log('═══════════════════════════════════════════════════════════', 'bright');
         log('✓ Cross-platform test completed successfully!', 'green');
@@ -274,6 +311,7 @@ async function main() {
         console.log('  ✓ Aggregate functions work correctly');
         console.log('  ✓ Index was preserved');
         console.log('  ✓ Data integrity maintained');
+        console.log('  ✓ SQLCipher 3 database migrated and reopened');
         console.log();
         log('This proves: Databases created by native C++ applications', 'cyan');
         log('can be successfully read and queried using WebAssembly!', 'cyan');
@@ -310,6 +348,7 @@ echo
 echo -e "${YELLOW}Generated files:${NC}"
 echo "  - tools/create-test-db           (C++ executable)"
 echo "  - /tmp/test-from-cpp.db          (SQLite database)"
+echo "  - /tmp/test-from-cpp-v3.db       (SQLite database, SQLCipher 3 format)"
 echo "  - test/cross-platform-db-test.cjs (JavaScript test with embedded DB)"
 echo
 echo -e "${YELLOW}To run the test:${NC}"